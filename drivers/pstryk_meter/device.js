@@ -1,7 +1,336 @@
 "use strict";
 
 const Homey = require("homey");
-const fetch = require("node-fetch");
+const {
+  HOUR_MS, getDateKey, shiftDateKey, getLocalTime, getStartOfDay,
+} = require("../../lib/timezone");
+
+// Sensors reporting the imported (forward) and exported (reverse) active energy counters, in Wh
+const IMPORTED_ENERGY_SENSOR = "forwardActiveEnergy";
+const EXPORTED_ENERGY_SENSOR = "reverseActiveEnergy";
+
+// Default surplus that has to be reached before the meter counts as exporting
+const DEFAULT_EXPORT_THRESHOLD = 50;
+
+// Sensor id carrying the totals over all phases; ids 1-3 are the individual phases
+const TOTAL_SENSOR_ID = 0;
+const PHASE_SENSOR_IDS = [1, 2, 3];
+
+// Sensor types the meter reports, by the `type` in /state, with the capability they map to and
+// the factor converting the raw value to the capability's unit. Types with phases: true also get
+// per-phase sub-capabilities (e.g. measure_power.phase1). Energy registers with handled: true feed
+// the energy counters instead of a capability of their own.
+const SENSOR_TYPES = {
+  activePower: {
+    capability: "measure_power", title: "Power", scale: 1, phases: true, // W
+  },
+  voltage: {
+    capability: "measure_voltage", title: "Voltage", scale: 0.1, phases: true, // dV
+  },
+  current: {
+    capability: "measure_current", title: "Current", scale: 0.001, phases: true, // mA
+  },
+  frequency: { capability: "measure_frequency", title: "Frequency", scale: 0.001 }, // mHz
+  reactivePower: { capability: "measure_reactive_power", title: "Reactive power", scale: 1 }, // var
+  apparentPower: { capability: "measure_apparent_power", title: "Apparent power", scale: 1 }, // VA
+  powerFactor: { capability: "measure_power_factor", title: "Power factor", scale: 0.001 }, // 1/1000
+  forwardActiveEnergy: { handled: true }, // Wh
+  reverseActiveEnergy: { handled: true }, // Wh
+  forwardReactiveEnergy: { capability: "meter_reactive_energy.imported", title: "Imported reactive energy", scale: 0.001 }, // varh
+  reverseReactiveEnergy: { capability: "meter_reactive_energy.exported", title: "Exported reactive energy", scale: 0.001 }, // varh
+};
+
+// How often the list of unrecognised sensors in the device settings is refreshed
+const UNKNOWN_SENSOR_REPORT_INTERVAL = 10 * 60 * 1000;
+
+// Consecutive polls a phase sensor has to be missing before its capability is removed,
+// so a single incomplete reading does not wipe its insights
+const PHASE_REMOVAL_POLLS = 10;
+
+// Longest gap between two power readings that is integrated; longer gaps (meter offline,
+// app restarts) are skipped rather than guessed
+const MAX_INTEGRATION_GAP = 5 * 60 * 1000;
+
+// How often the integrated energy counter is written to the device store
+const PERSIST_INTERVAL = 60 * 1000;
+
+// Capabilities added while cost tracking is enabled
+const COST_CAPABILITIES = ["cost_rate", "cost_today", "cost_this_month"];
+
+// Consecutive failed polls after which the meter is marked unavailable
+const OFFLINE_AFTER_FAILURES = 5;
+
+// While offline the poll interval doubles after every failed poll, starting from the normal
+// interval (at least OFFLINE_MIN_INTERVAL) up to OFFLINE_MAX_INTERVAL
+const OFFLINE_MIN_INTERVAL = 5 * 1000;
+const OFFLINE_MAX_INTERVAL = 5 * 60 * 1000;
+
+// Longest duration the sustained power cards can be set to, and so the power history kept
+const MAX_SUSTAIN_DURATION = 60 * 60 * 1000;
+
+// Demand is averaged over clock-aligned 15-minute intervals, as capacity and peak tariffs do
+const DEMAND_INTERVAL = 15 * 60 * 1000;
+
+// Share of a demand interval that must be covered by readings for its average to count as a peak
+const MIN_DEMAND_COVERAGE = 0.5;
+
+// Capabilities for demand and its peaks, added to existing devices on init
+const DEMAND_CAPABILITIES = [
+  "demand_15min", "demand_peak_today", "demand_peak_today_time", "demand_peak_month", "demand_peak_month_time",
+];
+
+// Power quality bands: nominal values, and the default tolerances of EN 50160
+// (±10% voltage, ±1% frequency)
+const NOMINAL_FREQUENCY = 50;
+const DEFAULT_NOMINAL_VOLTAGE = 230;
+const DEFAULT_VOLTAGE_TOLERANCE = 10;
+const DEFAULT_FREQUENCY_TOLERANCE = 1;
+
+// Power quality excursions kept in the event log
+const QUALITY_LOG_SIZE = 100;
+
+// Capabilities for power quality, added to existing devices on init
+const QUALITY_CAPABILITIES = [
+  "undervoltage_events_today", "overvoltage_events_today", "frequency_events_today", "quality_excursion_minutes_today",
+  "last_quality_event",
+];
+
+// Default margin power has to move back past a threshold before a sustained power trigger re-arms
+const DEFAULT_POWER_HYSTERESIS = 50;
+
+// Imported energy per hour is kept this long for the daily reconciliation against the cloud
+const HOURLY_IMPORT_RETENTION = 48 * HOUR_MS;
+
+// Local time yesterday is reconciled at, once the PSTRYK cloud has aggregated its last hours,
+// and the wait before trying again when the cloud could not be reached
+const RECONCILIATION_HOUR = 1;
+const RECONCILIATION_MINUTE = 15;
+const RECONCILIATION_RETRY = HOUR_MS;
+
+// Default deviation in percent above which an hour is logged and a day triggers a flow, and the
+// deviation in kWh an hour needs at least, so near-empty hours are not flagged on percentages alone
+const DEFAULT_RECONCILIATION_THRESHOLD = 10;
+const MIN_RECONCILIATION_GAP = 0.05;
+
+// Deviating hours kept in the reconciliation log
+const RECONCILIATION_LOG_SIZE = 100;
+
+/**
+ * Value of a sensor in the unit of its capability
+ * @param {Object} sensor - Sensor from the meter's /state
+ * @returns {number}
+ */
+function scaleSensor(sensor) {
+  return Number((sensor.value * SENSOR_TYPES[sensor.type].scale).toFixed(3));
+}
+
+/**
+ * Energy counter integrated from power readings, for meters without an energy sensor
+ */
+class PowerIntegrator {
+  /**
+   * @param {number} totalKWh - Counter value to continue from
+   * @param {number} direction - 1 to count imported energy (positive power), -1 for exported energy
+   */
+  constructor(totalKWh = 0, direction = 1) {
+    this.totalKWh = totalKWh;
+    this.direction = direction;
+    this.lastSample = null;
+  }
+
+  /**
+   * Add a power reading and integrate the energy since the previous one (trapezoidal rule)
+   * @param {number} powerWatts - Grid power, positive when importing and negative when exporting
+   * @param {number} time - Reading time in milliseconds
+   * @returns {number} Counter value in kWh
+   */
+  addSample(powerWatts, time) {
+    // Only power flowing in this counter's direction is counted
+    const power = Math.max(0, powerWatts * this.direction);
+
+    if (this.lastSample) {
+      const elapsed = time - this.lastSample.time;
+      if (elapsed > 0 && elapsed <= MAX_INTEGRATION_GAP) {
+        const averagePower = (this.lastSample.power + power) / 2;
+        this.totalKWh += (averagePower * elapsed) / (60 * 60 * 1000 * 1000);
+      }
+    }
+
+    this.lastSample = { time, power };
+    return this.totalKWh;
+  }
+}
+
+/**
+ * Recent power readings, to check whether power stayed within a range for a given time
+ */
+class PowerHistory {
+  /**
+   * @param {number} maxAge - How long readings are kept, in milliseconds
+   */
+  constructor(maxAge) {
+    this.maxAge = maxAge;
+    this.samples = [];
+  }
+
+  /**
+   * Add a power reading
+   * @param {number} power - Power in W
+   * @param {number} time - Reading time in milliseconds
+   */
+  add(power, time) {
+    this.samples.push({ power, time });
+
+    // Keep one reading older than maxAge: it tells the power at the start of the oldest window
+    const cutoff = time - this.maxAge;
+    while (this.samples.length > 1 && this.samples[1].time <= cutoff) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Time-weighted average of the readings over the last duration, each reading holding until
+   * the next one
+   * @param {number} duration - Duration in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @param {function(number): number} transform - Applied to each reading before averaging
+   * @returns {number|null} Average in W, null without readings
+   */
+  averageOver(duration, now, transform = (power) => power) {
+    const windowStart = now - duration;
+    let total = 0;
+    let covered = 0;
+    let end = now;
+
+    for (let i = this.samples.length - 1; i >= 0 && end > windowStart; i--) {
+      const sample = this.samples[i];
+      const start = Math.max(sample.time, windowStart);
+      if (end > start) {
+        total += transform(sample.power) * (end - start);
+        covered += end - start;
+      }
+      end = sample.time;
+    }
+
+    if (covered) return total / covered;
+    return this.samples.length ? transform(this.latest()) : null;
+  }
+
+  /**
+   * Latest power reading
+   * @returns {number|null} Power in W
+   */
+  latest() {
+    return this.samples.length ? this.samples[this.samples.length - 1].power : null;
+  }
+
+  /**
+   * Check whether every reading over the last duration matched a condition. The reading from
+   * just before the window counts as well, as its value held until the next one.
+   * @param {function(number): boolean} predicate - Condition on the power in W
+   * @param {number} duration - Duration in milliseconds
+   * @param {number} now - Current time in milliseconds
+   * @returns {boolean} False when the history does not cover the whole duration yet
+   */
+  holdsFor(predicate, duration, now) {
+    const windowStart = now - duration;
+    for (let i = this.samples.length - 1; i >= 0; i--) {
+      const sample = this.samples[i];
+      if (!predicate(sample.power)) return false;
+      if (sample.time <= windowStart) return true;
+    }
+    return false;
+  }
+
+  clear() {
+    this.samples = [];
+  }
+}
+
+/**
+ * Average demand (imported power) over clock-aligned intervals, integrated from power readings
+ * that are assumed to hold until the next reading
+ */
+class DemandTracker {
+  /**
+   * @param {number} intervalLength - Interval length in milliseconds
+   */
+  constructor(intervalLength) {
+    this.intervalLength = intervalLength;
+    this.interval = null;
+    this.lastSample = null;
+  }
+
+  /**
+   * Start of the interval a time falls in
+   * @param {number} time - Time in milliseconds
+   * @returns {number}
+   */
+  getIntervalStart(time) {
+    return Math.floor(time / this.intervalLength) * this.intervalLength;
+  }
+
+  /**
+   * Add a power reading. The previous reading's power is credited to the intervals up to this
+   * reading, unless the readings are too far apart to tell what happened in between.
+   * @param {number} powerWatts - Grid power in W, exported power counts as zero demand
+   * @param {number} time - Reading time in milliseconds
+   * @returns {Array<{start: number, average: number, coverage: number}>} Intervals completed by this reading
+   */
+  addSample(powerWatts, time) {
+    const completed = [];
+    const power = Math.max(0, powerWatts);
+
+    if (!this.interval) {
+      this.interval = { start: this.getIntervalStart(time), energy: 0, covered: 0 };
+    }
+
+    const last = this.lastSample;
+    const credit = last && time > last.time && time - last.time <= MAX_INTEGRATION_GAP;
+    let from = last ? last.time : time;
+
+    // Close every interval that ended before this reading
+    while (time >= this.interval.start + this.intervalLength) {
+      const end = this.interval.start + this.intervalLength;
+      if (credit && from < end) {
+        this.interval.energy += last.power * (end - from);
+        this.interval.covered += end - from;
+        from = end;
+      }
+      completed.push({
+        start: this.interval.start,
+        average: this.interval.covered ? this.interval.energy / this.interval.covered : 0,
+        coverage: this.interval.covered / this.intervalLength,
+      });
+      this.interval = { start: this.getIntervalStart(time), energy: 0, covered: 0 };
+    }
+
+    if (credit && from < time) {
+      this.interval.energy += last.power * (time - from);
+      this.interval.covered += time - from;
+    }
+
+    this.lastSample = { time, power };
+    return completed;
+  }
+
+  /**
+   * Average demand of the current interval if the latest power holds until the interval ends
+   * @param {number} time - Current time in milliseconds
+   * @returns {number|null} Projected average in W, null before the first reading
+   */
+  getProjectedAverage(time) {
+    if (!this.interval || !this.lastSample) return null;
+
+    const end = this.interval.start + this.intervalLength;
+    const remaining = Math.max(0, end - time);
+    const elapsed = Math.max(0, time - this.interval.start);
+
+    // Time without readings is assumed to have been at the average of the time with readings
+    const averageSoFar = this.interval.covered ? this.interval.energy / this.interval.covered : this.lastSample.power;
+    return (averageSoFar * elapsed + this.lastSample.power * remaining) / this.intervalLength;
+  }
+}
 
 module.exports = class PstrykMeterDevice extends Homey.Device {
   /**
@@ -15,16 +344,79 @@ module.exports = class PstrykMeterDevice extends Homey.Device {
 
     // Initialize the update interval
     this.updateInterval = this.settings.updateInterval * 1000 || 30000;
-    this.phaseSelection = this.settings.phaseSelection || "0";
+
+    // Polls each phase sub-capability has been missing from the meter data
+    this.missingPhasePolls = {};
+
+    // Unrecognised sensor types last listed in the settings, and when
+    this.unknownSensorTypes = null;
+    this.lastUnknownSensorReport = 0;
+
+    // Availability tracking: failed polls in a row, and when the meter went offline
+    this.consecutiveFailures = 0;
+    this.offlineSince = null;
+    this.pollInProgress = false;
+
+    // Power readings for the sustained power cards, and which of their triggers have fired
+    this.powerHistory = new PowerHistory(MAX_SUSTAIN_DURATION);
+    this.firedPowerTriggers = new Set();
+
+    // 15-minute demand, with the peaks of today and this month continued from the store
+    this.demandTracker = new DemandTracker(DEMAND_INTERVAL);
+    this.demandPeaks = this.getStoreValue("demandPeaks") || { day: null, month: null, today: null, thisMonth: null };
+    this.projectedPeakInterval = null;
+
+    // Power quality: ongoing excursions by measurement, today's counts and the event log
+    this.activeExcursions = {};
+    this.qualityStats = this.getStoreValue("qualityStats") || {
+      day: null, undervoltage: 0, overvoltage: 0, frequency: 0, minutes: 0,
+    };
+    this.qualityEvents = this.getStoreValue("qualityEvents") || [];
+
+    // Imported energy per hour (hour start -> [kWh, ms covered by readings]) for the daily
+    // reconciliation against the cloud, from when the meter started recording on
+    this.hourlyImport = this.getStoreValue("hourlyImport") || {};
+    this.recordingSince = this.getStoreValue("recordingSince");
+    if (!this.recordingSince) {
+      this.recordingSince = Date.now();
+      await this.setStoreValue("recordingSince", this.recordingSince);
+    }
+    this.lastImportSample = null;
+    this.reconciliationLog = this.getStoreValue("reconciliationLog") || [];
 
     // Initialize the meter data
     this.meterData = null;
 
+    for (const capability of [
+      "meter_power", "meter_power.imported", "meter_power.exported", "measure_power.surplus", "exporting",
+      ...DEMAND_CAPABILITIES, ...QUALITY_CAPABILITIES, "reconciliation_discrepancy",
+    ]) {
+      if (!this.hasCapability(capability)) {
+        await this.addCapability(capability);
+      }
+    }
+
+    // Accumulated cost, continued from the store; reset when the day/month changes
+    this.costTotals = this.getStoreValue("costTotals") || {
+      day: null, month: null, today: 0, thisMonth: 0,
+    };
+    this.lastCostSample = null;
+    this.lastCostPersist = Date.now();
+    await this.updateCostCapabilities();
+
+    // Continue the integrated energy counters from where the previous run left off
+    this.powerIntegrator = new PowerIntegrator(this.getStoreValue("integratedEnergy") || 0, 1);
+    this.exportIntegrator = new PowerIntegrator(this.getStoreValue("integratedExportedEnergy") || 0, -1);
+    this.lastEnergyPersist = Date.now();
+
     // Set up the update interval
-    this.updateIntervalId = this.homey.setInterval(
-      this.updateMeterData.bind(this),
-      this.updateInterval,
-    );
+    this.schedulePolling(this.updateInterval);
+
+    // Catch up on yesterday if its reconciliation time passed while the app was not running,
+    // giving the price devices time to initialise
+    const yesterday = shiftDateKey(getDateKey(Date.now(), this.homey.clock.getTimezone()), -1);
+    const missed = this.getStoreValue("lastReconciledDay") !== yesterday && Date.now() >= this.getReconciliationTime(0);
+    this.scheduleReconciliation(missed ? 60 * 1000 : null);
 
     // Initial update
     this.updateMeterData();
@@ -51,28 +443,26 @@ module.exports = class PstrykMeterDevice extends Homey.Device {
     // Update the settings
     this.settings = newSettings;
 
-    // If the update interval changed, update the interval
+    // If the update interval changed, update the interval (a backed-off interval is kept until the meter is back)
     if (changedKeys.includes("updateInterval")) {
       this.updateInterval = newSettings.updateInterval * 1000;
-      this.homey.clearInterval(this.updateIntervalId);
-      this.updateIntervalId = this.homey.setInterval(
-        this.updateMeterData.bind(this),
-        this.updateInterval,
-      );
+      if (!this.offlineSince) {
+        this.schedulePolling(this.updateInterval);
+      }
       this.log(`Update interval changed to ${this.updateInterval}ms`);
     }
 
-    // If the phase selection changed, update the meter data
-    if (changedKeys.includes("phaseSelection")) {
-      this.phaseSelection = newSettings.phaseSelection;
-      this.log(`Phase selection changed to ${this.phaseSelection}`);
-      await this.updateMeterData();
-    }
-
-    // If the IP address changed, update the meter data
+    // If the IP address changed, start over with normal polling at the new address
     if (changedKeys.includes("ipAddress")) {
       this.log(`IP address changed to ${newSettings.ipAddress}`);
-      await this.updateMeterData();
+      this.consecutiveFailures = 0;
+      this.schedulePolling(this.updateInterval);
+      // Without waiting, so a meter that does not answer cannot hold up saving the settings
+      this.updateMeterData().catch((err) => this.error(`Error updating meter data: ${err.message}`));
+    }
+
+    if (changedKeys.includes("trackCost")) {
+      await this.updateCostCapabilities();
     }
   }
 
@@ -91,44 +481,1004 @@ module.exports = class PstrykMeterDevice extends Homey.Device {
   async onDeleted() {
     this.log("PstrykMeterDevice has been deleted");
 
-    // Clear the update interval
+    // Clear the update interval and the reconciliation
     this.homey.clearInterval(this.updateIntervalId);
+    this.homey.clearTimeout(this.reconciliationTimeout);
   }
 
   /**
-   * Update the meter data from the PSTRYK API
+   * onUninit is called when the app is stopped or the device is being reinitialized.
    */
-  async updateMeterData() {
+  async onUninit() {
+    this.homey.clearInterval(this.updateIntervalId);
+    this.homey.clearTimeout(this.reconciliationTimeout);
+    await this.persistIntegratedEnergy();
+    await this.persistCostTotals();
+    await this.persistHourlyImport();
+  }
+
+  /**
+   * Write the integrated energy counters to the device store, so they survive restarts
+   */
+  async persistIntegratedEnergy() {
     try {
-      const ipAddress = this.settings.ipAddress;
+      await this.setStoreValue("integratedEnergy", this.powerIntegrator.totalKWh);
+      await this.setStoreValue("integratedExportedEnergy", this.exportIntegrator.totalKWh);
+      this.lastEnergyPersist = Date.now();
+    } catch (error) {
+      this.error(`Error persisting energy counter: ${error.message}`);
+    }
+  }
 
-      if (!ipAddress) {
-        this.error("IP address not set");
-        return;
+  /**
+   * Update the imported and exported energy counters, from the meter's energy sensors if it has
+   * them, otherwise integrated from power. meter_power mirrors meter_power.imported for existing
+   * flows and insights.
+   * @param {Object|undefined} importedSensor - Imported energy sensor of the meter totals (all phases)
+   * @param {Object|undefined} exportedSensor - Exported energy sensor of the meter totals (all phases)
+   * @param {Object|undefined} activePowerSensor - Active power sensor of the meter totals (all phases)
+   * @returns {Promise<number|null>} Imported energy counter in kWh, null when the meter reports neither energy nor power
+   */
+  async updateEnergyCounters(importedSensor, exportedSensor, activePowerSensor) {
+    const now = Date.now();
+
+    let importedKWh = null;
+    if (importedSensor) {
+      importedKWh = importedSensor.value / 1000; // Value is in Wh
+    } else if (activePowerSensor) {
+      importedKWh = this.powerIntegrator.addSample(activePowerSensor.value, now);
+    }
+
+    let exportedKWh = null;
+    if (exportedSensor) {
+      exportedKWh = exportedSensor.value / 1000; // Value is in Wh
+    } else if (activePowerSensor) {
+      exportedKWh = this.exportIntegrator.addSample(activePowerSensor.value, now);
+    }
+
+    if (importedKWh !== null) {
+      await this.setCapabilityValue("meter_power", Number(importedKWh.toFixed(3)));
+      await this.setCapabilityValue("meter_power.imported", Number(importedKWh.toFixed(3)));
+    }
+    if (exportedKWh !== null) {
+      await this.setCapabilityValue("meter_power.exported", Number(exportedKWh.toFixed(3)));
+    }
+
+    if ((!importedSensor || !exportedSensor) && now - this.lastEnergyPersist >= PERSIST_INTERVAL) {
+      await this.persistIntegratedEnergy();
+    }
+
+    return importedKWh;
+  }
+
+  /**
+   * Add or remove the cost capabilities depending on the trackCost setting
+   */
+  async updateCostCapabilities() {
+    for (const capability of COST_CAPABILITIES) {
+      if (this.settings.trackCost && !this.hasCapability(capability)) {
+        await this.addCapability(capability);
+      } else if (!this.settings.trackCost && this.hasCapability(capability)) {
+        await this.removeCapability(capability);
+      }
+    }
+    this.lastCostSample = null;
+  }
+
+  /**
+   * The PSTRYK Prices device the meter takes its prices from: the one named in the
+   * priceDeviceName setting, or the first paired one when the setting is empty
+   * @returns {Homey.Device|null}
+   */
+  getPriceDevice() {
+    const devices = this.homey.drivers.getDriver("pstryk_price").getDevices();
+    const name = (this.settings.priceDeviceName || "").trim();
+    if (!name) return devices[0] || null;
+    return devices.find((device) => device.getName() === name) || null;
+  }
+
+  /**
+   * Update the live cost rate and add the energy imported since the previous reading to today's
+   * and this month's cost. Energy is spread evenly over the time between the readings, and each
+   * part is priced at the price frame it falls into, so readings spanning an hour change (e.g.
+   * after the meter was offline) are priced correctly. Exported energy is not credited.
+   * @param {number|null} importedKWh - Imported energy counter
+   * @param {Object|undefined} activePowerSensor - Active power sensor of the totals
+   */
+  async updateCost(importedKWh, activePowerSensor) {
+    if (!this.settings.trackCost) return;
+
+    const priceDevice = this.getPriceDevice();
+    if (!priceDevice) {
+      if (!this.missingPriceDeviceLogged) {
+        this.error("Cost tracking is enabled but the PSTRYK Prices device was not found");
+        this.missingPriceDeviceLogged = true;
+      }
+      return;
+    }
+    this.missingPriceDeviceLogged = false;
+
+    const now = Date.now();
+    this.rollOverCostTotals(now);
+
+    const current = priceDevice.getTotalPriceAt(new Date(now));
+    if (current && activePowerSensor) {
+      const previousRate = this.getCapabilityValue("cost_rate");
+      const costRate = Number(((Math.max(0, activePowerSensor.value) / 1000) * current.price).toFixed(4));
+      await this.setCapabilityValue("cost_rate", costRate);
+
+      if (previousRate !== null && previousRate !== costRate) {
+        await this.homey.flow.getDeviceTriggerCard("cost_rate_rose_above")
+          .trigger(this, { cost_rate: costRate }, { previous: previousRate, current: costRate })
+          .catch((err) => this.error(`Error triggering cost_rate_rose_above: ${err.message}`));
+      }
+    }
+
+    if (importedKWh === null) return;
+
+    const last = this.lastCostSample;
+    this.lastCostSample = { time: now, importedKWh };
+
+    // Counter reset or first reading: nothing to price yet
+    if (!last || importedKWh <= last.importedKWh || now <= last.time) return;
+
+    const energy = importedKWh - last.importedKWh;
+    const duration = now - last.time;
+    let { time } = last;
+    while (time < now) {
+      const frame = priceDevice.getTotalPriceAt(new Date(time));
+      if (!frame) {
+        this.log(`No price for ${new Date(time).toISOString()}, leaving the energy from then on unpriced`);
+        break;
+      }
+
+      const end = Math.min(frame.end.getTime(), now);
+      const cost = energy * ((end - time) / duration) * frame.price;
+
+      // Energy from before midnight belongs to a day that is already closed
+      const day = getDateKey(time, this.homey.clock.getTimezone());
+      if (day === this.costTotals.day) this.costTotals.today += cost;
+      if (day.slice(0, 7) === this.costTotals.month) this.costTotals.thisMonth += cost;
+      time = end;
+    }
+
+    await this.setCapabilityValue("cost_today", Number(this.costTotals.today.toFixed(2)));
+    await this.setCapabilityValue("cost_this_month", Number(this.costTotals.thisMonth.toFixed(2)));
+
+    if (now - this.lastCostPersist >= PERSIST_INTERVAL) {
+      await this.persistCostTotals();
+    }
+  }
+
+  /**
+   * Start a new day/month of accumulated cost when the given time is in a later one
+   * @param {number} time - Time in milliseconds
+   */
+  rollOverCostTotals(time) {
+    const day = getDateKey(time, this.homey.clock.getTimezone());
+    const month = day.slice(0, 7);
+
+    if (this.costTotals.day === null || day > this.costTotals.day) {
+      this.costTotals.day = day;
+      this.costTotals.today = 0;
+    }
+    if (this.costTotals.month === null || month > this.costTotals.month) {
+      this.costTotals.month = month;
+      this.costTotals.thisMonth = 0;
+    }
+  }
+
+  /**
+   * Write the accumulated cost to the device store, so it survives restarts
+   */
+  async persistCostTotals() {
+    try {
+      await this.setStoreValue("costTotals", this.costTotals);
+      this.lastCostPersist = Date.now();
+    } catch (error) {
+      this.error(`Error persisting cost totals: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update the per-phase sub-capabilities (e.g. measure_power.phase1), adding them for the phase
+   * sensors the meter reports and removing them once a sensor has been gone for a while
+   * @param {Array} sensors - Sensors from the meter's /state
+   */
+  async updatePhaseCapabilities(sensors) {
+    const phaseTypes = Object.entries(SENSOR_TYPES).filter(([, mapping]) => mapping.phases);
+
+    for (const phase of PHASE_SENSOR_IDS) {
+      for (const [type, { capability, title }] of phaseTypes) {
+        const subCapability = `${capability}.phase${phase}`;
+        const sensor = sensors.find((s) => s.id === phase && s.type === type);
+
+        if (!sensor) {
+          if (!this.hasCapability(subCapability)) continue;
+
+          this.missingPhasePolls[subCapability] = (this.missingPhasePolls[subCapability] || 0) + 1;
+          if (this.missingPhasePolls[subCapability] >= PHASE_REMOVAL_POLLS) {
+            this.log(`Phase sensor for ${subCapability} no longer reported, removing capability`);
+            await this.removeCapability(subCapability);
+            delete this.missingPhasePolls[subCapability];
+          }
+          continue;
+        }
+
+        delete this.missingPhasePolls[subCapability];
+        await this.setSensorCapability(subCapability, `${title} L${phase}`, scaleSensor(sensor));
+      }
+    }
+  }
+
+  /**
+   * Set the capability of a sensor, adding it the first time the meter reports the sensor
+   * @param {string} capability - Capability id, e.g. measure_reactive_power or measure_power.phase1
+   * @param {string} title - Title for sub-capabilities and capabilities added at runtime
+   * @param {number} value - Value in the capability's unit
+   */
+  async setSensorCapability(capability, title, value) {
+    if (!this.hasCapability(capability)) {
+      this.log(`Meter reports ${title.toLowerCase()}, adding ${capability}`);
+      await this.addCapability(capability);
+      if (capability.includes(".")) {
+        await this.setCapabilityOptions(capability, { title: { en: title } });
+      }
+    }
+
+    await this.setCapabilityValue(capability, value);
+  }
+
+  /**
+   * Set the capabilities of every recognised sensor with the totals over all phases
+   * @param {Array} sensors - Sensors from the meter's /state
+   */
+  async updateSensorCapabilities(sensors) {
+    for (const sensor of sensors) {
+      const mapping = SENSOR_TYPES[sensor.type];
+      if (sensor.id !== TOTAL_SENSOR_ID || !mapping || !mapping.capability) continue;
+      await this.setSensorCapability(mapping.capability, mapping.title, scaleSensor(sensor));
+    }
+  }
+
+  /**
+   * List the sensors with an unrecognised type in the "Unrecognised sensors" device setting,
+   * with their raw values, so values added by new firmware can be identified and mapped
+   * @param {Array} sensors - Sensors from the meter's /state
+   */
+  async reportUnknownSensors(sensors) {
+    const unknown = sensors.filter((s) => !SENSOR_TYPES[s.type]);
+    const types = [...new Set(unknown.map((s) => s.type))].sort();
+    const typesKey = types.join(",");
+
+    // The raw values are refreshed now and then, the list itself as soon as it changes
+    const now = Date.now();
+    if (typesKey === this.unknownSensorTypes && now - this.lastUnknownSensorReport < UNKNOWN_SENSOR_REPORT_INTERVAL) return;
+
+    if (typesKey !== this.unknownSensorTypes && types.length) {
+      this.log(`Meter reports unrecognised sensor types: ${types.join(", ")}`);
+    }
+    this.unknownSensorTypes = typesKey;
+    this.lastUnknownSensorReport = now;
+
+    const report = types.length
+      ? types.map((type) => {
+        const values = unknown.filter((s) => s.type === type).map((s) => `id ${s.id}: ${s.value}`);
+        return `${type} (${values.join(", ")})`;
+      }).join("\n")
+      : "None";
+
+    await this.setSettings({ unknownSensors: report })
+      .catch((err) => this.error(`Error updating the unrecognised sensors setting: ${err.message}`));
+  }
+
+  /**
+   * Update the 15-minute demand, close finished intervals into today's and this month's peaks and
+   * trigger demand_peak_projected when the current interval is heading over the peak demand limit
+   * @param {number} powerWatts - Grid power in W
+   */
+  async updateDemand(powerWatts) {
+    const now = Date.now();
+
+    for (const interval of this.demandTracker.addSample(powerWatts, now)) {
+      if (interval.coverage >= MIN_DEMAND_COVERAGE) {
+        await this.recordDemandPeak(interval.start, interval.average);
+      }
+    }
+
+    const demand = this.powerHistory.averageOver(DEMAND_INTERVAL, now, (power) => Math.max(0, power));
+    if (demand !== null) {
+      await this.setCapabilityValue("demand_15min", Math.round(demand));
+    }
+
+    const limit = this.settings.peakDemandLimit;
+    const intervalStart = this.demandTracker.getIntervalStart(now);
+    if (!limit || this.projectedPeakInterval === intervalStart) return;
+
+    const projected = this.demandTracker.getProjectedAverage(now);
+    if (projected === null || projected <= limit) return;
+
+    // Once per interval, the flow has until the interval ends to shed load
+    this.projectedPeakInterval = intervalStart;
+    const minutesLeft = Math.ceil((intervalStart + DEMAND_INTERVAL - now) / 60000);
+    this.log(`15-minute demand projected at ${Math.round(projected)}W, above the ${limit}W limit, ${minutesLeft} min left`);
+
+    await this.homey.flow.getDeviceTriggerCard("demand_peak_projected")
+      .trigger(this, { projected_demand: Math.round(projected), limit, minutes_left: minutesLeft })
+      .catch((err) => this.error(`Error triggering demand_peak_projected: ${err.message}`));
+  }
+
+  /**
+   * Record a finished demand interval as today's and/or this month's peak if it is higher
+   * @param {number} start - Interval start in milliseconds
+   * @param {number} average - Average demand of the interval in W
+   */
+  async recordDemandPeak(start, average) {
+    const timeZone = this.homey.clock.getTimezone();
+    const day = getDateKey(start, timeZone);
+    const month = day.slice(0, 7);
+    const peak = { value: Math.round(average), time: start };
+    const peaks = this.demandPeaks;
+    let changed = false;
+
+    if (peaks.day !== day) {
+      peaks.day = day;
+      peaks.today = null;
+      changed = true;
+    }
+    if (peaks.month !== month) {
+      peaks.month = month;
+      peaks.thisMonth = null;
+      changed = true;
+    }
+    if (!peaks.today || peak.value > peaks.today.value) {
+      peaks.today = peak;
+      changed = true;
+    }
+    if (!peaks.thisMonth || peak.value > peaks.thisMonth.value) {
+      peaks.thisMonth = peak;
+      changed = true;
+    }
+    if (!changed) return;
+
+    const formatTime = (time) => new Date(time).toLocaleString([], {
+      timeZone, hour: "2-digit", minute: "2-digit", day: "2-digit", month: "2-digit", hourCycle: "h23",
+    });
+
+    await this.setCapabilityValue("demand_peak_today", peaks.today.value);
+    await this.setCapabilityValue("demand_peak_today_time", formatTime(peaks.today.time));
+    await this.setCapabilityValue("demand_peak_month", peaks.thisMonth.value);
+    await this.setCapabilityValue("demand_peak_month_time", formatTime(peaks.thisMonth.time));
+
+    await this.setStoreValue("demandPeaks", peaks)
+      .catch((err) => this.error(`Error persisting demand peaks: ${err.message}`));
+  }
+
+  /**
+   * Check voltage (per phase, or the total when the meter reports no phases) and frequency
+   * against the power quality bands
+   * @param {Array} sensors - Sensors from the meter's /state
+   */
+  async updatePowerQuality(sensors) {
+    const nominalVoltage = this.settings.nominalVoltage || DEFAULT_NOMINAL_VOLTAGE;
+    const voltageTolerance = this.settings.voltageTolerance !== undefined ? this.settings.voltageTolerance : DEFAULT_VOLTAGE_TOLERANCE;
+    const frequencyTolerance = this.settings.frequencyTolerance !== undefined
+      ? this.settings.frequencyTolerance
+      : DEFAULT_FREQUENCY_TOLERANCE;
+
+    // Today's counts start at zero at midnight, not only at the first excursion of the day
+    if (this.qualityStats.day !== null && this.rollOverQualityStats(Date.now())) {
+      for (const capability of ["undervoltage_events_today", "overvoltage_events_today", "frequency_events_today"]) {
+        await this.setCapabilityValue(capability, 0);
       }
+      await this.setCapabilityValue("quality_excursion_minutes_today", 0);
+    }
+
+    const phaseSensors = sensors.filter((s) => PHASE_SENSOR_IDS.includes(s.id) && s.type === "voltage");
+    const voltageSensors = phaseSensors.length
+      ? phaseSensors
+      : sensors.filter((s) => s.id === TOTAL_SENSOR_ID && s.type === "voltage");
+
+    for (const sensor of voltageSensors) {
+      const phase = sensor.id === TOTAL_SENSOR_ID ? "" : `L${sensor.id}`;
+      await this.checkQualityBand(`voltage${phase}`, "voltage", phase, scaleSensor(sensor), nominalVoltage, voltageTolerance);
+    }
+
+    const frequencySensor = sensors.find((s) => s.id === TOTAL_SENSOR_ID && s.type === "frequency");
+    if (frequencySensor) {
+      await this.checkQualityBand("frequency", "frequency", "", scaleSensor(frequencySensor), NOMINAL_FREQUENCY, frequencyTolerance);
+    }
+  }
+
+  /**
+   * Start or end an excursion of one measurement outside its band (nominal ± tolerance %)
+   * @param {string} key - Measurement key, e.g. voltageL1
+   * @param {string} measurement - voltage or frequency
+   * @param {string} phase - L1-L3, or empty for the total/frequency
+   * @param {number} value - Measured value in V or Hz
+   * @param {number} nominal - Nominal value
+   * @param {number} tolerance - Tolerance in % of the nominal value
+   */
+  async checkQualityBand(key, measurement, phase, value, nominal, tolerance) {
+    const now = Date.now();
+    let kind = null;
+    if (value < nominal * (1 - tolerance / 100)) kind = "under";
+    else if (value > nominal * (1 + tolerance / 100)) kind = "over";
+
+    const active = this.activeExcursions[key];
+    if (active && active.kind === kind) {
+      active.extreme = kind === "under" ? Math.min(active.extreme, value) : Math.max(active.extreme, value);
+      return;
+    }
+
+    if (active) {
+      delete this.activeExcursions[key];
+      await this.endExcursion(active, now);
+    }
+
+    if (kind) {
+      const excursion = {
+        measurement, phase, kind, start: now, extreme: value,
+      };
+      this.activeExcursions[key] = excursion;
+      await this.startExcursion(excursion);
+    }
+  }
+
+  /**
+   * Count a new excursion and trigger quality_excursion_started
+   * @param {Object} excursion - The excursion that started
+   */
+  async startExcursion(excursion) {
+    const { measurement, phase, kind } = excursion;
+    const unit = measurement === "voltage" ? "V" : "Hz";
+    this.log(`${kind}${measurement} started${phase ? ` on ${phase}` : ""}: ${excursion.extreme}${unit}`);
+
+    this.rollOverQualityStats(excursion.start);
+    const counter = measurement === "voltage" ? `${kind}voltage` : "frequency";
+    this.qualityStats[counter]++;
+    await this.setCapabilityValue(`${counter}_events_today`, this.qualityStats[counter]);
+    await this.persistQuality();
+
+    await this.homey.flow.getDeviceTriggerCard("quality_excursion_started")
+      .trigger(this, {
+        measurement, phase, kind, value: excursion.extreme,
+      })
+      .catch((err) => this.error(`Error triggering quality_excursion_started: ${err.message}`));
+  }
+
+  /**
+   * Log a finished excursion with its duration and trigger quality_excursion_ended
+   * @param {Object} excursion - The excursion that ended
+   * @param {number} end - End time in milliseconds
+   */
+  async endExcursion(excursion, end) {
+    const { measurement, phase, kind } = excursion;
+    const duration = Math.round((end - excursion.start) / 1000);
+    const unit = measurement === "voltage" ? "V" : "Hz";
+    const event = {
+      measurement, phase, kind, start: excursion.start, end, duration, extreme: excursion.extreme,
+    };
+    this.log(`${kind}${measurement} ended${phase ? ` on ${phase}` : ""} after ${duration}s, extreme ${excursion.extreme}${unit}`);
+
+    this.qualityEvents.push(event);
+    this.qualityEvents = this.qualityEvents.slice(-QUALITY_LOG_SIZE);
+
+    this.rollOverQualityStats(end);
+    this.qualityStats.minutes += duration / 60;
+    await this.setCapabilityValue("quality_excursion_minutes_today", Number(this.qualityStats.minutes.toFixed(1)));
+    await this.setCapabilityValue("last_quality_event", this.formatQualityEvent(event));
+    await this.persistQuality();
+
+    await this.homey.flow.getDeviceTriggerCard("quality_excursion_ended")
+      .trigger(this, {
+        measurement, phase, kind, duration, extreme: excursion.extreme,
+      })
+      .catch((err) => this.error(`Error triggering quality_excursion_ended: ${err.message}`));
+  }
+
+  /**
+   * Start today's power quality counts over when the given time is on a later day
+   * @param {number} time - Time in milliseconds
+   * @returns {boolean} True when the counts were reset
+   */
+  rollOverQualityStats(time) {
+    const day = getDateKey(time, this.homey.clock.getTimezone());
+    if (this.qualityStats.day === day) return false;
+
+    this.qualityStats = {
+      day, undervoltage: 0, overvoltage: 0, frequency: 0, minutes: 0,
+    };
+    return true;
+  }
+
+  /**
+   * One line describing an excursion, e.g. "10/18, 14:02:11 undervoltage L2, 45s, min 203.1V"
+   * @param {Object} event - Logged excursion
+   * @returns {string}
+   */
+  formatQualityEvent(event) {
+    const start = new Date(event.start).toLocaleString([], {
+      timeZone: this.homey.clock.getTimezone(),
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    });
+    const unit = event.measurement === "voltage" ? "V" : "Hz";
+    const phase = event.phase ? ` ${event.phase}` : "";
+    const extreme = `${event.kind === "under" ? "min" : "max"} ${event.extreme}${unit}`;
+    return `${start} ${event.kind}${event.measurement}${phase}, ${event.duration}s, ${extreme}`;
+  }
 
-      // this.log(`Fetching meter data from ${ipAddress}`);
+  /**
+   * The power quality event log, newest first, one excursion per line
+   * @returns {string}
+   */
+  getQualityEventLog() {
+    return this.qualityEvents.slice().reverse().map((event) => this.formatQualityEvent(event)).join("\n");
+  }
+
+  /**
+   * Write the power quality counts and event log to the device store
+   */
+  async persistQuality() {
+    try {
+      await this.setStoreValue("qualityStats", this.qualityStats);
+      await this.setStoreValue("qualityEvents", this.qualityEvents);
+    } catch (error) {
+      this.error(`Error persisting power quality: ${error.message}`);
+    }
+  }
+
+  /**
+   * Add the energy imported since the previous reading to the hours it falls into, spread evenly
+   * over the time between the readings. Time between readings further apart than
+   * MAX_INTEGRATION_GAP does not count as covered: the meter was offline in between.
+   * @param {number|null} importedKWh - Imported energy counter
+   */
+  async recordHourlyImport(importedKWh) {
+    if (importedKWh === null) return;
+
+    const now = Date.now();
+    const last = this.lastImportSample;
+    this.lastImportSample = { time: now, importedKWh };
+
+    // Counter reset or first reading: nothing to attribute yet
+    if (!last || importedKWh < last.importedKWh || now <= last.time) return;
 
-      // Fetch the meter data
-      const response = await fetch(`http://${ipAddress}/state`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 10000, // 10 second timeout
+    const energy = importedKWh - last.importedKWh;
+    const duration = now - last.time;
+    const covered = duration <= MAX_INTEGRATION_GAP;
+    let hourCompleted = false;
+
+    let { time } = last;
+    while (time < now) {
+      const hourStart = Math.floor(time / HOUR_MS) * HOUR_MS;
+      const end = Math.min(hourStart + HOUR_MS, now);
+      if (!this.hourlyImport[hourStart]) this.hourlyImport[hourStart] = [0, 0];
+
+      this.hourlyImport[hourStart][0] += energy * ((end - time) / duration);
+      if (covered) this.hourlyImport[hourStart][1] += end - time;
+      hourCompleted = hourCompleted || end === hourStart + HOUR_MS;
+      time = end;
+    }
+
+    if (hourCompleted) {
+      Object.keys(this.hourlyImport).forEach((hourStart) => {
+        if (Number(hourStart) < now - HOURLY_IMPORT_RETENTION) delete this.hourlyImport[hourStart];
       });
+      await this.persistHourlyImport();
+    }
+  }
+
+  /**
+   * Write the imported energy per hour to the device store
+   */
+  async persistHourlyImport() {
+    try {
+      await this.setStoreValue("hourlyImport", this.hourlyImport);
+    } catch (error) {
+      this.error(`Error persisting hourly energy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Today's or a later day's reconciliation time
+   * @param {number} days - Days from today
+   * @returns {number} Time in milliseconds
+   */
+  getReconciliationTime(days) {
+    const timeZone = this.homey.clock.getTimezone();
+    const day = shiftDateKey(getDateKey(Date.now(), timeZone), days);
+    return getLocalTime(day, RECONCILIATION_HOUR, timeZone, RECONCILIATION_MINUTE).getTime();
+  }
+
+  /**
+   * Schedule the next reconciliation of yesterday's hours
+   * @param {number|null} delay - Wait in milliseconds, or null for the next reconciliation time
+   */
+  scheduleReconciliation(delay = null) {
+    this.homey.clearTimeout(this.reconciliationTimeout);
+
+    let wait = delay;
+    if (wait === null) {
+      const today = this.getReconciliationTime(0);
+      wait = (Date.now() < today ? today : this.getReconciliationTime(1)) - Date.now();
+    }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+    this.reconciliationTimeout = this.homey.setTimeout(() => {
+      this.reconcileYesterday().catch((err) => this.error(`Error reconciling energy: ${err.message}`));
+    }, wait);
+  }
+
+  /**
+   * Compare yesterday's imported energy per hour with the usage the PSTRYK cloud recorded for the
+   * account of the linked price device. Deviating hours go to the reconciliation log, and the
+   * day's deviation to reconciliation_discrepancy; reconciliation_gap_exceeded fires when that is
+   * above the threshold. Only hours that started after the meter began recording are compared.
+   */
+  async reconcileYesterday() {
+    const timeZone = this.homey.clock.getTimezone();
+    const today = getDateKey(Date.now(), timeZone);
+    const yesterday = shiftDateKey(today, -1);
+
+    const priceDevice = this.getPriceDevice();
+    const apiKey = priceDevice && priceDevice.getSetting("apiKey");
+    if (this.getStoreValue("lastReconciledDay") === yesterday || !apiKey) {
+      this.scheduleReconciliation();
+      return;
+    }
+
+    let frames;
+    try {
+      frames = await priceDevice.driver.apiOrchestrator.fetchHourlyUsage(apiKey,
+        getStartOfDay(yesterday, timeZone), getStartOfDay(today, timeZone));
+    } catch (error) {
+      // Without a PSTRYK meter on the account there is nothing to reconcile against
+      if (error.statusCode === 404) {
+        this.log("Skipping energy reconciliation: the price device's account has no PSTRYK meter");
+        this.scheduleReconciliation();
+      } else {
+        this.error(`Error fetching cloud energy usage, retrying in an hour: ${error.message}`);
+        this.scheduleReconciliation(RECONCILIATION_RETRY);
+      }
+      return;
+    }
+
+    const threshold = this.settings.reconciliationThreshold || DEFAULT_RECONCILIATION_THRESHOLD;
+    let localTotal = 0;
+    let cloudTotal = 0;
+    const deviations = [];
+
+    frames.forEach((frame) => {
+      const hour = new Date(frame.start).getTime();
+      if (typeof frame.fae_usage !== "number" || hour < this.recordingSince) return;
+
+      const [local, covered] = this.hourlyImport[hour] || [0, 0];
+      const cloud = frame.fae_usage;
+      localTotal += local;
+      cloudTotal += cloud;
+
+      if (Math.abs(local - cloud) > Math.max(MIN_RECONCILIATION_GAP, (cloud * threshold) / 100)) {
+        deviations.push({
+          hour, local, cloud, offlineMinutes: Math.round((HOUR_MS - covered) / 60000),
+        });
       }
+    });
+
+    await this.setStoreValue("lastReconciledDay", yesterday);
+    this.scheduleReconciliation();
+
+    if (!frames.some((frame) => new Date(frame.start).getTime() >= this.recordingSince)) {
+      this.log(`Nothing to reconcile for ${yesterday}: the meter was not recording yet`);
+      return;
+    }
 
-      const data = await response.json();
-      this.meterData = data;
+    let discrepancy = 0;
+    if (cloudTotal > 0) discrepancy = ((localTotal - cloudTotal) / cloudTotal) * 100;
+    else if (localTotal > 0) discrepancy = 100;
+
+    await this.setCapabilityValue("reconciliation_discrepancy", Number(discrepancy.toFixed(1)));
+    this.reconciliationLog = this.reconciliationLog.concat(deviations).slice(-RECONCILIATION_LOG_SIZE);
+    await this.setStoreValue("reconciliationLog", this.reconciliationLog);
+
+    this.log(`Reconciled ${yesterday}: local ${localTotal.toFixed(3)} kWh, cloud ${cloudTotal.toFixed(3)} kWh `
+      + `(${discrepancy.toFixed(1)}%), ${deviations.length} deviating hour(s)`);
+
+    if (Math.abs(discrepancy) > threshold) {
+      await this.homey.flow.getDeviceTriggerCard("reconciliation_gap_exceeded")
+        .trigger(this, {
+          date: yesterday,
+          local: Number(localTotal.toFixed(3)),
+          cloud: Number(cloudTotal.toFixed(3)),
+          discrepancy: Number(discrepancy.toFixed(1)),
+          hours: deviations.length,
+        })
+        .catch((err) => this.error(`Error triggering reconciliation_gap_exceeded: ${err.message}`));
+    }
+  }
+
+  /**
+   * One line describing a deviating hour, e.g. "10/17, 14:00 local 1.234 kWh, cloud 0.812 kWh (+52%), offline 35 min"
+   * @param {Object} entry - Logged hour
+   * @returns {string}
+   */
+  formatReconciliationEntry(entry) {
+    const hour = new Date(entry.hour).toLocaleString([], {
+      timeZone: this.homey.clock.getTimezone(),
+      day: "2-digit",
+      month: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    let line = `${hour} local ${entry.local.toFixed(3)} kWh, cloud ${entry.cloud.toFixed(3)} kWh`;
+    if (entry.cloud > 0) {
+      const deviation = Math.round(((entry.local - entry.cloud) / entry.cloud) * 100);
+      line += ` (${deviation > 0 ? "+" : ""}${deviation}%)`;
+    }
+    if (entry.offlineMinutes > 0) line += `, offline ${entry.offlineMinutes} min`;
+    return line;
+  }
+
+  /**
+   * The reconciliation log, newest first, one deviating hour per line
+   * @returns {string}
+   */
+  getReconciliationLog() {
+    return this.reconciliationLog.slice().reverse().map((entry) => this.formatReconciliationEntry(entry)).join("\n");
+  }
+
+  /**
+   * Record a power reading and fire the sustained power trigger cards for the flows whose power
+   * has now been past their threshold for their duration. The cards are only triggered when at least
+   * one flow fires, and the keys that fire are passed as trigger state to the cards' run listeners.
+   * @param {number} powerWatts - Grid power in W
+   */
+  async updatePowerThresholds(powerWatts) {
+    this.powerHistory.add(powerWatts, Date.now());
+
+    for (const card of ["power_above_for", "power_below_for"]) {
+      const triggerCard = this.homey.flow.getDeviceTriggerCard(card);
+      try {
+        const argumentValues = await triggerCard.getArgumentValues(this);
+        const firing = this.evaluatePowerTriggers(card, argumentValues, card === "power_above_for");
+        if (firing.length > 0) {
+          await triggerCard.trigger(this, { power: powerWatts }, { firing });
+        }
+      } catch (err) {
+        this.error(`Error triggering ${card}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Evaluate the flows of one sustained power card once per reading. Flows with the same arguments
+   * share one key, so they are evaluated together and fire together.
+   * @param {string} card - Trigger card id
+   * @param {Object[]} argumentValues - Arguments of the card's flows for this device
+   * @param {boolean} above - True for above the threshold, false for below it
+   * @returns {string[]} Keys of the flows that fire now
+   */
+  evaluatePowerTriggers(card, argumentValues, above) {
+    const keys = new Set(argumentValues.map((args) => this.getPowerTriggerKey(card, args.threshold, args.duration)));
+
+    // Forget the state of flows that were removed or changed
+    for (const key of this.firedPowerTriggers) {
+      if (key.startsWith(`${card}:`) && !keys.has(key)) this.firedPowerTriggers.delete(key);
+    }
+
+    const firing = [];
+    for (const args of argumentValues) {
+      const key = this.getPowerTriggerKey(card, args.threshold, args.duration);
+      if (keys.delete(key) && this.checkPowerTrigger(key, args.threshold, args.duration, above)) {
+        firing.push(key);
+      }
+    }
+    return firing;
+  }
+
+  /**
+   * Key of a sustained power trigger, shared by all flows with the same arguments
+   * @param {string} card - Trigger card id
+   * @param {number} threshold - Threshold in W
+   * @param {number} duration - Duration in seconds
+   * @returns {string}
+   */
+  getPowerTriggerKey(card, threshold, duration) {
+    return `${card}:${threshold}:${duration}`;
+  }
+
+  /**
+   * Check whether power has been above (or below) a threshold for a duration.
+   * @param {number} threshold - Threshold in W
+   * @param {number} duration - Duration in seconds, 0 for the latest reading only
+   * @param {boolean} above - True for above the threshold, false for below it
+   * @returns {boolean}
+   */
+  isPowerSustained(threshold, duration, above) {
+    const predicate = above ? (power) => power > threshold : (power) => power < threshold;
+    return this.powerHistory.holdsFor(predicate, duration * 1000, Date.now());
+  }
+
+  /**
+   * Decide whether a sustained power trigger fires. It fires once when power has been past its
+   * threshold for its duration, and re-arms only after power came back past the threshold by the
+   * hysteresis margin, so power hovering around the threshold fires it once.
+   * @param {string} key - Trigger key, see getPowerTriggerKey
+   * @param {number} threshold - Threshold in W
+   * @param {number} duration - Duration in seconds
+   * @param {boolean} above - True for above the threshold, false for below it
+   * @returns {boolean} True when the flow should fire now
+   */
+  checkPowerTrigger(key, threshold, duration, above) {
+    const power = this.powerHistory.latest();
+    if (power === null) return false;
+
+    if (this.firedPowerTriggers.has(key)) {
+      const hysteresis = this.settings.powerHysteresis !== undefined ? this.settings.powerHysteresis : DEFAULT_POWER_HYSTERESIS;
+      const rearm = above ? power <= threshold - hysteresis : power >= threshold + hysteresis;
+      if (rearm) this.firedPowerTriggers.delete(key);
+      return false;
+    }
+
+    if (!this.isPowerSustained(threshold, duration, above)) return false;
+
+    this.firedPowerTriggers.add(key);
+    return true;
+  }
+
+  /**
+   * Track whether surplus power is fed into the grid and trigger the started/stopped exporting cards.
+   * Exporting starts once the surplus reaches the export threshold and stops when the meter imports
+   * again, so power hovering around zero does not toggle the state.
+   * @param {number} powerWatts - Grid power, negative when exporting
+   */
+  async updateExportState(powerWatts) {
+    const surplus = Math.max(0, -powerWatts);
+    const threshold = this.settings.exportThreshold !== undefined ? this.settings.exportThreshold : DEFAULT_EXPORT_THRESHOLD;
+    const wasExporting = this.getCapabilityValue("exporting") === true;
+
+    let exporting = wasExporting;
+    if (!wasExporting && surplus > 0 && surplus >= threshold) {
+      exporting = true;
+    } else if (wasExporting && powerWatts >= 0) {
+      exporting = false;
+    }
+
+    await this.setCapabilityValue("measure_power.surplus", surplus);
+
+    if (exporting === wasExporting) {
+      // Show the state from the first reading on, without triggering
+      if (this.getCapabilityValue("exporting") === null) {
+        await this.setCapabilityValue("exporting", exporting);
+      }
+      return;
+    }
+
+    await this.setCapabilityValue("exporting", exporting);
+    this.log(exporting ? `Started exporting (${surplus}W surplus)` : "Stopped exporting");
+
+    const card = exporting ? "started_exporting" : "stopped_exporting";
+    await this.homey.flow.getDeviceTriggerCard(card)
+      .trigger(this, exporting ? { surplus_power: surplus } : {})
+      .catch((err) => this.error(`Error triggering ${card}: ${err.message}`));
+  }
+
+  /**
+   * (Re)start polling the meter
+   * @param {number} interval - Milliseconds between polls
+   */
+  schedulePolling(interval) {
+    this.homey.clearInterval(this.updateIntervalId);
+    this.pollInterval = interval;
+    this.updateIntervalId = this.homey.setInterval(
+      this.updateMeterData.bind(this),
+      interval,
+    );
+  }
+
+  /**
+   * Record a failed poll. After OFFLINE_AFTER_FAILURES failures in a row the device is marked
+   * unavailable and the meter_went_offline card is triggered; from then on polling backs off.
+   * @param {Error} error - Why the poll failed
+   */
+  async handlePollFailure(error) {
+    this.consecutiveFailures++;
+
+    // Only the first failure and the moment the meter goes offline are logged, not every poll
+    if (this.consecutiveFailures === 1) {
+      this.error(`Error updating meter data: ${error.message}`);
+    }
+
+    if (this.consecutiveFailures >= OFFLINE_AFTER_FAILURES && !this.offlineSince) {
+      this.offlineSince = Date.now();
+      // Power while offline is unknown, so sustained power has to be seen again from scratch
+      this.powerHistory.clear();
+
+      // Excursions cannot be followed while offline, close them at the last reading
+      for (const [key, excursion] of Object.entries(this.activeExcursions)) {
+        delete this.activeExcursions[key];
+        await this.endExcursion(excursion, this.lastReadingTime || this.offlineSince);
+      }
+      this.error(`Meter offline after ${this.consecutiveFailures} failed polls: ${error.message}`);
+
+      await this.setUnavailable(`Meter unreachable: ${error.message}`)
+        .catch((err) => this.error(`Error marking the meter unavailable: ${err.message}`));
+      await this.homey.flow.getDeviceTriggerCard("meter_went_offline")
+        .trigger(this, { reason: error.message })
+        .catch((err) => this.error(`Error triggering meter_went_offline: ${err.message}`));
+    }
+
+    if (this.offlineSince) {
+      const interval = Math.min(
+        Math.max(this.pollInterval * 2, this.updateInterval, OFFLINE_MIN_INTERVAL),
+        OFFLINE_MAX_INTERVAL,
+      );
+      if (interval !== this.pollInterval) {
+        this.log(`Meter still offline, polling every ${interval / 1000}s`);
+        this.schedulePolling(interval);
+      }
+    }
+  }
+
+  /**
+   * Record a successful poll. When the meter was offline the device is marked available again,
+   * normal polling is restored and the meter_came_back card is triggered.
+   */
+  async handlePollSuccess() {
+    if (this.consecutiveFailures > 0 && !this.offlineSince) {
+      this.log(`Meter answered again after ${this.consecutiveFailures} failed poll(s)`);
+    }
+    this.consecutiveFailures = 0;
+
+    if (!this.offlineSince) return;
+
+    const offlineMinutes = Math.round((Date.now() - this.offlineSince) / 60000);
+    this.offlineSince = null;
+    this.log(`Meter back online after ${offlineMinutes} minute(s)`);
+
+    this.schedulePolling(this.updateInterval);
+    await this.setAvailable()
+      .catch((err) => this.error(`Error marking the meter available: ${err.message}`));
+    await this.homey.flow.getDeviceTriggerCard("meter_came_back")
+      .trigger(this, { offline_minutes: offlineMinutes })
+      .catch((err) => this.error(`Error triggering meter_came_back: ${err.message}`));
+  }
+
+  /**
+   * Update the meter data from the PSTRYK API
+   */
+  async updateMeterData() {
+    const { ipAddress } = this.settings;
+
+    if (!ipAddress) {
+      this.error("IP address not set");
+      return;
+    }
+
+    // With short intervals a slow meter could otherwise pile up requests
+    if (this.pollInProgress) return;
+    this.pollInProgress = true;
+
+    try {
+      try {
+        this.meterData = await this.driver.fetchState(ipAddress, 10000); // 10 second timeout
+      } catch (error) {
+        await this.handlePollFailure(error);
+        return;
+      }
+
+      this.lastReadingTime = Date.now();
+      await this.handlePollSuccess();
 
       // Process the meter data
       await this.processMeterData();
-    } catch (error) {
-      this.error(`Error updating meter data: ${error.message}`);
+    } finally {
+      this.pollInProgress = false;
     }
   }
 
@@ -147,46 +1497,30 @@ module.exports = class PstrykMeterDevice extends Homey.Device {
 
     try {
       const sensors = this.meterData.multiSensor.sensors;
-      const phaseId = parseInt(this.phaseSelection);
 
-      // Find the relevant sensors for the selected phase
+      // Find the sensors with the totals over all phases that other features build on
       const activePowerSensor = sensors.find(
-        (s) => s.id === phaseId && s.type === "activePower",
-      );
-      const voltageSensor = sensors.find(
-        (s) => s.id === phaseId && s.type === "voltage",
+        (s) => s.id === TOTAL_SENSOR_ID && s.type === "activePower",
       );
-      const currentSensor = sensors.find(
-        (s) => s.id === phaseId && s.type === "current",
+      const importedEnergySensor = sensors.find(
+        (s) => s.id === TOTAL_SENSOR_ID && s.type === IMPORTED_ENERGY_SENSOR,
       );
-      const frequencySensor = sensors.find(
-        (s) => s.id === phaseId && s.type === "frequency",
+      const exportedEnergySensor = sensors.find(
+        (s) => s.id === TOTAL_SENSOR_ID && s.type === EXPORTED_ENERGY_SENSOR,
       );
 
-      // Update the capabilities if the sensors are found
-      if (activePowerSensor) {
-        const powerWatts = activePowerSensor.value; // Raw value is in Watts
-        // const powerKw = powerWatts / 1000; // Convert to kW for Homey
-        await this.setCapabilityValue("measure_power", powerWatts);
-        // this.log(`Updated measure_power: (${powerWatts}W)`);
-      }
-
-      if (voltageSensor) {
-        const voltage = voltageSensor.value / 10; // Value is in deci-volts (230.0V = 2300)
-        await this.setCapabilityValue("measure_voltage", voltage);
-        // this.log(`Updated measure_voltage: ${voltage}V`);
-      }
+      await this.updateSensorCapabilities(sensors);
+      await this.reportUnknownSensors(sensors);
+      const importedKWh = await this.updateEnergyCounters(importedEnergySensor, exportedEnergySensor, activePowerSensor);
+      await this.updateCost(importedKWh, activePowerSensor);
+      await this.recordHourlyImport(importedKWh);
+      await this.updatePhaseCapabilities(sensors);
+      await this.updatePowerQuality(sensors);
 
-      if (currentSensor) {
-        const current = currentSensor.value / 1000; // Value is in milli-amps (1.344A = 1344)
-        await this.setCapabilityValue("measure_current", current);
-        // this.log(`Updated measure_current: ${current}A`);
-      }
-
-      if (frequencySensor) {
-        const frequency = frequencySensor.value / 1000; // Value is in milli-Hz (49.94Hz = 49940)
-        await this.setCapabilityValue("measure_frequency", frequency);
-        // this.log(`Updated measure_frequency: ${frequency}Hz`);
+      if (activePowerSensor) {
+        await this.updateExportState(activePowerSensor.value);
+        await this.updatePowerThresholds(activePowerSensor.value);
+        await this.updateDemand(activePowerSensor.value);
       }
     } catch (error) {
       this.error(`Error processing meter data: ${error.message}`);
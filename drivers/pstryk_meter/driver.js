@@ -3,80 +3,285 @@
 const Homey = require("homey");
 const fetch = require("node-fetch");
 
+// Addresses probed at the same time during discovery, and how long each may take to answer
+const DISCOVERY_CONCURRENCY = 32;
+const DISCOVERY_TIMEOUT = 1500;
+
 module.exports = class PstrykMeterDriver extends Homey.Driver {
   /**
    * onInit is called when the driver is initialized.
    */
   async onInit() {
     this.log("PstrykMeterDriver has been initialized");
+
+    // Register flow conditions, triggers and actions
+    this._registerFlowConditions();
+    this._registerFlowTriggers();
+    this._registerFlowActions();
   }
 
   /**
-   * onPairListDevices is called when a user is adding a device and the 'list_devices' view is called.
-   * This should return an array with the data of devices that are available for pairing.
+   * Register the meter's flow condition cards
    */
-  async onPairListDevices() {
-    this.log("Listing devices for pairing");
-
-    // Return a default device that the user can configure
-    return [
-      {
-        name: "PSTRYK Energy Meter",
-        data: {
-          id: "pstryk-meter",
-        },
-        settings: {
-          ipAddress: "",
-          updateInterval: 1,
-          phaseSelection: "0",
-        },
-      },
-    ];
+  _registerFlowConditions() {
+    // Is surplus power being exported
+    this.homey.flow.getConditionCard("is_exporting")
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        return device.getCapabilityValue("exporting") === true;
+      });
+
+    // Has power been above a threshold for a duration
+    this.homey.flow.getConditionCard("is_power_above")
+      .registerRunListener(async (args, state) => {
+        const { device, threshold, duration } = args;
+        return device.isPowerSustained(threshold, duration, true);
+      });
+
+    // Is power within a range
+    this.homey.flow.getConditionCard("is_power_between")
+      .registerRunListener(async (args, state) => {
+        const { device, min, max } = args;
+        const power = device.getCapabilityValue("measure_power");
+        return power !== null && power >= min && power <= max;
+      });
+
+    // Is the live cost above a limit
+    this.homey.flow.getConditionCard("cost_rate_above")
+      .registerRunListener(async (args, state) => {
+        const { device, limit } = args;
+        return device.getCapabilityValue("cost_rate") > limit;
+      });
   }
 
   /**
-   * Discover PSTRYK meters on the network
-   * This is a placeholder for future implementation of automatic discovery
+   * Register the meter's flow action cards
    */
-  async discoverDevices() {
-    this.log("Discovering PSTRYK meters on the network");
+  _registerFlowActions() {
+    // Get the power quality event log
+    this.homey.flow.getActionCard("get_quality_event_log")
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        return { events: device.getQualityEventLog(), count: device.qualityEvents.length };
+      });
 
-    // This would be implemented with mDNS or similar discovery mechanism
-    // For now, we'll just return an empty array
-    return [];
+    // Hours whose local imported energy deviated from the cloud
+    this.homey.flow.getActionCard("get_reconciliation_log")
+      .registerRunListener(async (args, state) => {
+        const { device } = args;
+        return { hours: device.getReconciliationLog(), count: device.reconciliationLog.length };
+      });
   }
 
-  // /**
-  //  * Test the connection to a PSTRYK meter
-  //  * @param {string} ipAddress The IP address of the meter
-  //  * @returns {Promise<boolean>} True if the connection is successful
-  //  */
-  async testConnection(ipAddress) {
-    try {
-      this.log(`Testing connection to ${ipAddress}`);
+  /**
+   * Register the meter's flow trigger cards that filter on their arguments
+   */
+  _registerFlowTriggers() {
+    // Sustained power: the device evaluates the flows once per reading and passes the keys that fire
+    this.homey.flow.getDeviceTriggerCard("power_above_for")
+      .registerRunListener(async (args, state) => {
+        const { device, threshold, duration } = args;
+        return state.firing.includes(device.getPowerTriggerKey("power_above_for", threshold, duration));
+      });
+    this.homey.flow.getDeviceTriggerCard("power_below_for")
+      .registerRunListener(async (args, state) => {
+        const { device, threshold, duration } = args;
+        return state.firing.includes(device.getPowerTriggerKey("power_below_for", threshold, duration));
+      });
 
-      const response = await fetch(`http://${ipAddress}/state`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        timeout: 5000, // 5 second timeout
+    // Only fire for the flows whose limit was crossed by this change
+    this.homey.flow.getDeviceTriggerCard("cost_rate_rose_above")
+      .registerRunListener(async (args, state) => {
+        return state.previous <= args.limit && state.current > args.limit;
       });
+  }
 
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
+  /**
+   * onPair is called when a user starts pairing a meter.
+   * The list_devices view shows the meters found on the local network; when none are found,
+   * or when the user uses the list's back button, the manual_ip view asks for an address instead.
+   * @param {PairSession} session Pairing session
+   */
+  async onPair(session) {
+    session.setHandler("list_devices", async () => {
+      const devices = await this.discoverDevices();
+
+      if (!devices.length) {
+        this.log("No meters discovered, asking for an address");
+        await session.showView("manual_ip");
       }
 
-      const data = await response.json();
+      return devices;
+    });
 
-      // Check if the response contains the expected data structure
-      if (data && data.multiSensor && data.multiSensor.sensors) {
-        this.log("Connection test successful");
-        return true;
-      } else {
-        this.log("Connection test failed: Invalid response format");
-        return false;
+    // Called by the manual_ip view, creates the device only when the meter answers
+    session.setHandler("test_connection", async ({ address }) => {
+      const ipAddress = (address || "").trim();
+      if (!ipAddress) {
+        throw new Error(this.homey.__("pair.manual_ip.missing_address"));
       }
+
+      if (!(await this.testConnection(ipAddress))) {
+        throw new Error(this.homey.__("pair.manual_ip.no_meter", { address: ipAddress }));
+      }
+
+      return this.createPairingDevice(ipAddress);
+    });
+  }
+
+  /**
+   * Build the device returned to pairing for a meter at an address
+   * @param {string} ipAddress IP address (optionally with port) of the meter
+   * @returns {Promise<Object>} Device with a stable id
+   */
+  async createPairingDevice(ipAddress) {
+    return {
+      name: "PSTRYK Energy Meter",
+      data: {
+        id: await this.getDeviceId(ipAddress),
+      },
+      settings: {
+        ipAddress,
+        updateInterval: 1,
+        exportThreshold: 50,
+        powerHysteresis: 50,
+        peakDemandLimit: 0,
+        nominalVoltage: 230,
+        voltageTolerance: 10,
+        frequencyTolerance: 1,
+        trackCost: false,
+        priceDeviceName: "",
+        reconciliationThreshold: 10,
+      },
+    };
+  }
+
+  /**
+   * Stable id of the meter at an address.
+   * The meter's /state does not report a serial number, so the MAC address is used, which
+   * survives DHCP handing the meter a new IP address. Addresses whose MAC cannot be resolved
+   * (other subnets, host names, the stand-in server) fall back to the address itself.
+   * @param {string} ipAddress IP address (optionally with port) of the meter
+   * @returns {Promise<string>} Device id
+   */
+  async getDeviceId(ipAddress) {
+    const address = ipAddress.trim().replace(/^https?:\/\//, "").replace(/\/+$/, "");
+    const host = address.replace(/[:/].*$/, "");
+
+    try {
+      const mac = await this.homey.arp.getMAC(host);
+      if (mac) {
+        return `pstryk-meter-${mac.toLowerCase().replace(/[^0-9a-f]/g, "")}`;
+      }
+    } catch (error) {
+      this.log(`Could not resolve the MAC address of ${host}: ${error.message}`);
+    }
+
+    return `pstryk-meter-${address.toLowerCase().replace(/[^0-9a-z]+/g, "-")}`;
+  }
+
+  /**
+   * Build the URL of a meter's /state endpoint
+   * @param {string} address IP address (optionally with port) or a base URL such as http://localhost:8080
+   * @returns {string} The /state URL
+   */
+  getStateUrl(address) {
+    const base = address.trim().replace(/\/+$/, "");
+    return /^https?:\/\//.test(base) ? `${base}/state` : `http://${base}/state`;
+  }
+
+  /**
+   * Discover PSTRYK meters on the network.
+   * The meters do not announce themselves over mDNS, so every address of Homey's /24 subnet is
+   * probed for a /state endpoint answering with meter data. Meters that are already paired
+   * are left out.
+   * @returns {Promise<Object[]>} Devices for the list_devices view
+   */
+  async discoverDevices() {
+    this.log("Discovering PSTRYK meters on the network");
+
+    let localAddress;
+    try {
+      localAddress = (await this.homey.cloud.getLocalAddress()).split(":")[0];
+    } catch (error) {
+      this.error(`Could not determine Homey's address: ${error.message}`);
+      return [];
+    }
+
+    const subnet = localAddress.split(".").slice(0, 3).join(".");
+    const candidates = [];
+    for (let host = 1; host < 255; host++) {
+      const address = `${subnet}.${host}`;
+      if (address !== localAddress) candidates.push(address);
+    }
+
+    // Probe a limited number of addresses at a time, so pairing does not flood the network
+    const found = [];
+    for (let i = 0; i < candidates.length; i += DISCOVERY_CONCURRENCY) {
+      const batch = candidates.slice(i, i + DISCOVERY_CONCURRENCY);
+      const results = await Promise.all(batch.map((address) => this.fetchState(address, DISCOVERY_TIMEOUT)
+        .then(() => address)
+        .catch(() => null)));
+      found.push(...results.filter(Boolean));
+    }
+    this.log(`Found ${found.length} meter(s) in ${subnet}.0/24`);
+
+    const pairedIds = this.getDevices().map((device) => device.getData().id);
+    const pairedAddresses = this.getDevices().map((device) => device.getSetting("ipAddress"));
+
+    const devices = [];
+    for (const address of found) {
+      const device = await this.createPairingDevice(address);
+      if (!pairedIds.includes(device.data.id) && !pairedAddresses.includes(address)) {
+        device.name = `PSTRYK Energy Meter (${address})`;
+        devices.push(device);
+      }
+    }
+
+    return devices;
+  }
+
+  /**
+   * Fetch a meter's /state
+   * @param {string} ipAddress IP address (optionally with port) or base URL of the meter
+   * @param {number} timeout Request timeout in milliseconds
+   * @returns {Promise<Object>} Meter data
+   * @throws {Error} When the address does not answer with meter data
+   */
+  async fetchState(ipAddress, timeout = 5000) {
+    const response = await fetch(this.getStateUrl(ipAddress), {
+      method: "GET",
+      headers: {
+        "Content-Type": "application/json",
+      },
+      timeout,
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+
+    // Check if the response contains the expected data structure
+    if (!data || !data.multiSensor || !Array.isArray(data.multiSensor.sensors)) {
+      throw new Error("Invalid response format");
+    }
+
+    return data;
+  }
+
+  /**
+   * Test the connection to a PSTRYK meter
+   * @param {string} ipAddress The IP address of the meter
+   * @returns {Promise<boolean>} True if the connection is successful
+   */
+  async testConnection(ipAddress) {
+    try {
+      this.log(`Testing connection to ${ipAddress}`);
+      await this.fetchState(ipAddress);
+      this.log("Connection test successful");
+      return true;
     } catch (error) {
       this.error(`Connection test failed: ${error.message}`);
       return false;
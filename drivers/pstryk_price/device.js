@@ -1,23 +1,118 @@
 "use strict";
 
 const Homey = require("homey");
+const {
+  HOUR_MS, getDateKey, shiftDateKey, getLocalParts, getStartOfDay,
+} = require("../../lib/timezone");
+
+// Longest period a single maximise/minimise block may grow to
+const MAX_BLOCK_DURATION = 6 * HOUR_MS;
+
+// Device settings that change the prices shown, ranked and grouped into periods
+const PRICE_BASIS_SETTINGS = [
+  "priceMode",
+  "tariffGroup",
+  "distributionRatePeak",
+  "distributionRateAfternoon",
+  "distributionRateOffPeak",
+  "qualityCharge",
+  "renewableCharge",
+  "cogenerationCharge",
+  "rankOnTotalPrice",
+];
 
 /**
- * Internal State Updater class for managing hour boundary detection
+ * Convert a carbon footprint from grams to kilograms, keeping a missing value missing
+ * @param {number|null} grams - Footprint in gCO2eq
+ * @returns {number|null}
+ */
+function gramsToKilograms(grams) {
+  return grams === null ? null : grams / 1000;
+}
+
+// Capabilities added while meter data from the PSTRYK cloud is enabled, with the
+// meter data field they show (or derive from it on the device)
+const METER_DATA_CAPABILITIES = {
+  energy_usage_today: (data) => data.usage.today,
+  energy_usage_yesterday: (data) => data.usage.yesterday,
+  energy_usage_week: (data) => data.usage.week,
+  energy_usage_month: (data) => data.usage.month,
+  energy_cost_today: (data) => data.cost.today,
+  energy_cost_yesterday: (data) => data.cost.yesterday,
+  energy_cost_month: (data) => data.cost.month,
+  energy_cost_last_month: (data) => data.cost.lastMonth,
+  carbon_footprint_today: (data) => gramsToKilograms(data.carbon.today),
+  carbon_footprint_month: (data) => gramsToKilograms(data.carbon.month),
+  carbon_intensity: (data) => data.carbon.intensity,
+  projected_month_cost: (data, device) => device.getProjectedMonthCost(data),
+};
+
+// VAT added to the (net) tariff rates when the device shows gross prices
+const VAT_RATE = 0.23;
+
+// Days and hours (local time) of the distribution tariff zones, following the standard
+// schedules of the Polish distribution system operators. Weekends are off-peak in G12w and G13.
+const TARIFF_ZONE_HOURS = {
+  // Night zone 22:00-6:00 and 13:00-15:00
+  G12: { offPeak: [[0, 6], [13, 15], [22, 24]] },
+  G12w: { offPeak: [[0, 6], [13, 15], [22, 24]], weekendOffPeak: true },
+  // Morning peak 7:00-13:00, afternoon peak 16:00-21:00 (Oct-Mar) or 19:00-22:00 (Apr-Sep)
+  G13: {
+    peak: [[7, 13]],
+    afternoonWinter: [[16, 21]],
+    afternoonSummer: [[19, 22]],
+    weekendOffPeak: true,
+  },
+};
+
+/**
+ * Distribution tariff zone of a local time
+ * @param {string} tariffGroup - G11, G12, G12w or G13
+ * @param {{hour: number, weekday: number, month: number}} localTime - Local hour (0-23),
+ *   weekday (0 = Sunday) and month (1-12)
+ * @returns {string} "peak", "afternoon" (G13 only) or "offPeak"
+ */
+function getTariffZone(tariffGroup, localTime) {
+  const schedule = TARIFF_ZONE_HOURS[tariffGroup];
+  if (!schedule) return "peak"; // G11 has a single zone
+
+  const { hour, weekday, month } = localTime;
+  const inRanges = (ranges) => ranges.some(([from, to]) => hour >= from && hour < to);
+
+  if (schedule.weekendOffPeak && (weekday === 0 || weekday === 6)) return "offPeak";
+
+  if (tariffGroup === "G13") {
+    const isWinter = month >= 10 || month <= 3;
+    if (inRanges(schedule.peak)) return "peak";
+    if (inRanges(isWinter ? schedule.afternoonWinter : schedule.afternoonSummer)) return "afternoon";
+    return "offPeak";
+  }
+
+  return inRanges(schedule.offPeak) ? "offPeak" : "peak";
+}
+
+/**
+ * Internal State Updater class for managing price frame boundary detection
+ *
+ * Frames can be hourly or shorter (e.g. 15 minutes), so the boundary is taken from
+ * the cached frames rather than the clock hour.
  */
 class InternalStateUpdater {
   constructor(device) {
     this.device = device;
-    this.lastHour = null;
+    this.lastFrameKey = null;
     this.updateInterval = null;
   }
 
-  detectHourBoundary() {
+  detectFrameBoundary() {
     const now = new Date();
-    const currentHour = now.getHours();
+    const currentFrame = this.device.findFrameAt(now);
 
-    if (this.lastHour !== currentHour) {
-      this.lastHour = currentHour;
+    // Fall back to the clock hour while no frame covers the current time
+    const frameKey = currentFrame ? currentFrame.start : `hour-${Math.floor(now.getTime() / HOUR_MS)}`;
+
+    if (this.lastFrameKey !== frameKey) {
+      this.lastFrameKey = frameKey;
       return true;
     }
     return false;
@@ -41,18 +136,18 @@ class InternalStateUpdater {
     }
   }
 
-  startHourBoundaryDetection() {
-    // Check every minute for hour boundary
+  startFrameBoundaryDetection() {
+    // Check every minute for frame boundary
     this.updateInterval = this.device.homey.setInterval(async () => {
-      if (this.detectHourBoundary()) {
-        this.device.log("Hour boundary detected, updating capabilities");
+      if (this.detectFrameBoundary()) {
+        this.device.log("Price frame boundary detected, updating capabilities");
         await this.updateCurrentHourCapabilities();
         await this.updatePeriodCapabilities();
       }
     }, 60 * 1000); // Check every minute
   }
 
-  stopHourBoundaryDetection() {
+  stopFrameBoundaryDetection() {
     if (this.updateInterval) {
       this.device.homey.clearInterval(this.updateInterval);
       this.updateInterval = null;
@@ -72,6 +167,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     this._priceTiersCache = {};
 
     await this.addCapability("current_hour_price");
+    await this.addCapability("current_hour_total_price");
     await this.addCapability("current_hour_value");
     await this.addCapability("currently_cheap");
     await this.addCapability("currently_expensive");
@@ -93,6 +189,10 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     await this.addCapability("current_hour_in_cheapest_36h");
     await this.addCapability("current_hour_price_position");
     await this.addCapability("cache_status");
+    await this.addCapability("tomorrow_prices_available");
+    await this.addCapability("average_price_7d");
+    await this.addCapability("average_price_30d");
+    await this.addCapability("price_today_vs_7d_average");
 
     this._previousBlocks = null;
     this._cachedData = null;
@@ -100,8 +200,8 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     // Initialize internal state updater
     this.internalStateUpdater = new InternalStateUpdater(this);
 
-    // Start hour boundary detection
-    this.internalStateUpdater.startHourBoundaryDetection();
+    // Start frame boundary detection
+    this.internalStateUpdater.startFrameBoundaryDetection();
 
     // Register for cache updates from driver - store bound reference for proper cleanup
     this._handleCacheUpdateBound = this.handleCacheUpdate.bind(this);
@@ -111,14 +211,54 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     this._handleCacheStatusBound = this.handleCacheStatusChange.bind(this);
     this.driver.on('cache-status-changed', this._handleCacheStatusBound);
 
-    // Initial update request to driver
-    setTimeout(() => this.requestCacheUpdate(), 2000);
+    // Register for archive backfills
+    this._handleArchiveUpdateBound = this.handleArchiveUpdate.bind(this);
+    this.driver.on('archive-updated', this._handleArchiveUpdateBound);
+
+    // Register for meter data (energy usage) updates
+    this._handleMeterDataUpdateBound = this.handleMeterDataUpdate.bind(this);
+    this.driver.on('meter-data-updated', this._handleMeterDataUpdateBound);
+    await this.updateMeterDataCapabilities();
+
+    // Serve restored or already cached data right away, even if stale
+    const cachedData = this.driver.apiOrchestrator.getCachedDataForDevice(this, true);
+    if (cachedData) {
+      this.handleCacheUpdate(cachedData).catch((err) =>
+        this.error("Error applying cached data on init:", err),
+      );
+    }
+
+    // Initial update request to driver, only if this account's cache needs refreshing
+    this.homey.setTimeout(async () => {
+      try {
+        const { apiKey } = this.settings;
+        if (apiKey && await this.driver.apiOrchestrator.shouldRefresh(apiKey)) {
+          await this.requestCacheUpdate();
+        }
+      } catch (error) {
+        this.error("Error in initial cache update request:", error);
+      }
+    }, 2000);
+  }
+
+  /**
+   * Check whether a driver cache belongs to the account this device is configured with
+   * @param {string} [cacheKey] - Cache key sent with a driver event
+   * @returns {boolean}
+   */
+  _isOwnCacheKey(cacheKey) {
+    const { apiKey } = this.settings;
+    return !!apiKey && this.driver.apiOrchestrator.getCacheKey(apiKey) === cacheKey;
   }
 
   /**
    * Handle cache updates from driver
+   * @param {Object} cachedData - Cached price data
+   * @param {string} [cacheKey] - Account cache the data belongs to, omitted when served directly
    */
-  async handleCacheUpdate(cachedData) {
+  async handleCacheUpdate(cachedData, cacheKey) {
+    if (cacheKey && !this._isOwnCacheKey(cacheKey)) return;
+
     this.log("Received cache update from driver");
     this._cachedData = cachedData;
     
@@ -138,8 +278,197 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
    * Handle cache status changes from driver
    */
   async handleCacheStatusChange(statusInfo) {
+    if (statusInfo.cacheKey && !this._isOwnCacheKey(statusInfo.cacheKey)) return;
+
     this.log("Cache status changed:", statusInfo);
     await this.setCapabilityValue("cache_status", statusInfo.status);
+    await this.updateAvailabilityFromStatus(statusInfo);
+  }
+
+  /**
+   * Handle archive backfills from driver
+   * @param {string} cacheKey - Account archive that was updated
+   */
+  async handleArchiveUpdate(cacheKey) {
+    if (!this._isOwnCacheKey(cacheKey)) return;
+    await this.updateArchiveCapabilities();
+  }
+
+  /**
+   * Update the long-term average capabilities from the account's price archive
+   */
+  async updateArchiveCapabilities() {
+    const { apiKey } = this.settings;
+    if (!apiKey) return;
+
+    try {
+      const statistics = this.driver.apiOrchestrator.getPriceStatistics(apiKey, this.usesNetPrices());
+      const round = (value, decimals) => (value === null ? null : Number(value.toFixed(decimals)));
+
+      await this.setCapabilityValue("average_price_7d", round(statistics.average7d, 4));
+      await this.setCapabilityValue("average_price_30d", round(statistics.average30d, 4));
+      await this.setCapabilityValue("price_today_vs_7d_average", round(statistics.todayVsWeekAverage, 1));
+    } catch (error) {
+      this.error("Error updating archive capabilities:", error);
+    }
+  }
+
+  /**
+   * Handle meter data updates from driver
+   * @param {string} cacheKey - Account whose meter data was updated
+   */
+  async handleMeterDataUpdate(cacheKey) {
+    if (!this._isOwnCacheKey(cacheKey)) return;
+    await this.updateMeterDataCapabilities();
+  }
+
+  /**
+   * Add or remove the meter data capabilities depending on the meterData setting, and fill
+   * them from the account's latest meter data
+   */
+  async updateMeterDataCapabilities() {
+    try {
+      for (const capability of Object.keys(METER_DATA_CAPABILITIES)) {
+        if (this.settings.meterData && !this.hasCapability(capability)) {
+          await this.addCapability(capability);
+        } else if (!this.settings.meterData && this.hasCapability(capability)) {
+          await this.removeCapability(capability);
+        }
+      }
+
+      const { apiKey } = this.settings;
+      const data = this.settings.meterData && apiKey ? this.driver.apiOrchestrator.getMeterData(apiKey) : null;
+      if (!data) return;
+
+      for (const [capability, getValue] of Object.entries(METER_DATA_CAPABILITIES)) {
+        const value = getValue(data, this);
+        await this.setCapabilityValue(capability, value === null ? null : Number(value.toFixed(3)));
+      }
+
+      await this.checkDayFinalised(data.finalisedDay);
+      await this.checkBudgetCrossing(this.getCapabilityValue("projected_month_cost"));
+    } catch (error) {
+      this.error("Error updating meter data capabilities:", error);
+    }
+  }
+
+  /**
+   * Projected cost of the whole month: the month-to-date cost billed by PSTRYK plus every remaining
+   * hour of the month from the next full hour on, each at the account's average usage of that hour
+   * of day. Remaining hours are priced at their all-in price when published, otherwise at the
+   * archive's typical price of that hour of day. Fixed fees of the remaining days are not included.
+   * @param {Object} data - Meter data of the account
+   * @returns {number|null} Cost in PLN, null without a usage profile or any price
+   */
+  getProjectedMonthCost(data) {
+    if (!data.usageProfile) return null;
+
+    const timeZone = this.homey.clock.getTimezone();
+    const hourPrices = this.driver.apiOrchestrator.getHourOfDayPrices(this.settings.apiKey);
+    const [year, month] = getDateKey(data.updatedAt, timeZone).split("-").map(Number);
+    const monthEnd = getStartOfDay(new Date(Date.UTC(year, month, 1)).toISOString().slice(0, 10), timeZone).getTime();
+
+    let remaining = 0;
+    for (let time = Math.floor(data.updatedAt.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS; time < monthEnd; time += HOUR_MS) {
+      const start = new Date(time);
+      const { hour } = getLocalParts(start, timeZone);
+
+      let price = this.getTotalPriceAt(start)?.price;
+      if (price === undefined) {
+        if (!hourPrices[hour]) return null;
+        const { price_gross: priceGross, price_net: priceNet } = hourPrices[hour];
+        price = this.getFrameTotalPrice({ start: start.toISOString(), price_gross: priceGross, price_net: priceNet });
+      }
+      remaining += data.usageProfile[hour] * price;
+    }
+
+    return data.cost.month + remaining;
+  }
+
+  /**
+   * Trigger projected_cost_crossed_budget when the projected month cost moves across the monthly
+   * budget. The first projection after a start or a budget change is only recorded.
+   * @param {number|null} projected - Projected month cost in PLN
+   */
+  async checkBudgetCrossing(projected) {
+    const budget = this.settings.monthlyBudget || 0;
+    if (!budget || projected === null) {
+      this._projectionAboveBudget = null;
+      return;
+    }
+
+    const above = projected > budget;
+    const previous = this._projectionAboveBudget;
+    this._projectionAboveBudget = above;
+    if (previous === null || previous === undefined || previous === above) return;
+
+    this.log(`Projected month cost ${projected.toFixed(2)} PLN went ${above ? "above" : "below"} the budget of ${budget} PLN`);
+    await this.homey.flow.getDeviceTriggerCard("projected_cost_crossed_budget")
+      .trigger(this, { projected: Number(projected.toFixed(2)), budget }, { direction: above ? "above" : "below" })
+      .catch((err) => this.error(`Error triggering projected_cost_crossed_budget: ${err.message}`));
+  }
+
+  /**
+   * Trigger daily_cost_finalised and daily_carbon_footprint once for every day the PSTRYK cloud
+   * has closed. The first finalised day seen is only recorded, so enabling meter data does not
+   * report a day that closed before it was enabled.
+   * @param {{date: string, cost: number, usage: number, carbon: number|null}|null} finalisedDay - Latest finalised day
+   */
+  async checkDayFinalised(finalisedDay) {
+    if (!finalisedDay) return;
+
+    const lastReported = this.getStoreValue("lastFinalisedDay");
+    if (lastReported && finalisedDay.date <= lastReported) return;
+
+    await this.setStoreValue("lastFinalisedDay", finalisedDay.date);
+    if (!lastReported) return;
+
+    this.log(`Cost of ${finalisedDay.date} finalised: ${finalisedDay.cost.toFixed(2)} PLN for ${finalisedDay.usage.toFixed(2)} kWh`);
+    await this.homey.flow.getDeviceTriggerCard("daily_cost_finalised")
+      .trigger(this, {
+        date: finalisedDay.date,
+        cost: Number(finalisedDay.cost.toFixed(2)),
+        usage: Number(finalisedDay.usage.toFixed(3)),
+      })
+      .catch((err) => this.error(`Error triggering daily_cost_finalised: ${err.message}`));
+
+    // Days without a recorded regional emission factor have no footprint to report
+    if (finalisedDay.carbon === null) return;
+
+    await this.homey.flow.getDeviceTriggerCard("daily_carbon_footprint")
+      .trigger(this, {
+        date: finalisedDay.date,
+        footprint: Number((finalisedDay.carbon / 1000).toFixed(3)),
+        intensity: finalisedDay.usage > 0 ? Math.round(finalisedDay.carbon / finalisedDay.usage) : 0,
+      })
+      .catch((err) => this.error(`Error triggering daily_carbon_footprint: ${err.message}`));
+  }
+
+  /**
+   * Reflect API errors on the device: unavailable for a bad API key, a warning for transient errors
+   * @param {Object} statusInfo - Cache status event from the driver
+   */
+  async updateAvailabilityFromStatus(statusInfo) {
+    try {
+      if (statusInfo.status === "refreshing") return;
+
+      if (statusInfo.errorCategory === "auth") {
+        await this.setUnavailable("Invalid PSTRYK API key, please check the device settings");
+        return;
+      }
+
+      if (!this.getAvailable()) {
+        await this.setAvailable();
+      }
+
+      if (statusInfo.errorCategory) {
+        await this.setWarning(statusInfo.message);
+      } else {
+        await this.unsetWarning();
+      }
+    } catch (error) {
+      this.error("Error updating device availability:", error);
+    }
   }
 
   /**
@@ -167,19 +496,20 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       const currentPrices = this._cachedData.currentPrices;
       
       // Find current frame
-      const currentFrame = currentPrices.find((frame) => {
-        const frameStart = new Date(frame.start);
-        const frameEnd = new Date(frame.end);
-        return now >= frameStart && now < frameEnd;
-      });
+      const currentFrame = this.findFrameAt(now);
 
       if (!currentFrame) {
         this.log("No current frame found in cached data");
         return;
       }
 
+      // Store frames for helper functions, before the rankings below use them
+      this._validFrames = currentPrices;
+      this._currentFrame = currentFrame;
+
       // Update basic price capabilities
-      await this.setCapabilityValue("current_hour_price", currentFrame.price_gross);
+      await this.setCapabilityValue("current_hour_price", this.getFramePrice(currentFrame));
+      await this.setCapabilityValue("current_hour_total_price", Number(this.getFrameTotalPrice(currentFrame).toFixed(4)));
       await this.setCapabilityValue("current_hour_value", 
         new Date(currentFrame.start).toLocaleString([], {
           timeZone: this.homey.clock.getTimezone(),
@@ -193,16 +523,22 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       await this.setCapabilityValue("currently_cheap", currentFrame.is_cheap);
       await this.setCapabilityValue("currently_expensive", currentFrame.is_expensive);
 
+      await this.setCapabilityValue(
+        "tomorrow_prices_available",
+        this.driver.apiOrchestrator.hasTomorrowPrices(currentPrices),
+      );
+
       // Update daily average
-      if (this._cachedData.dailyAverage) {
-        await this.setCapabilityValue("daily_average_price", this._cachedData.dailyAverage);
+      const dailyAverage = this.usesNetPrices() ? this._cachedData.dailyAverageNet : this._cachedData.dailyAverage;
+      if (dailyAverage) {
+        await this.setCapabilityValue("daily_average_price", dailyAverage);
       }
 
       // Update cheapest hours
       const futureFrames = currentPrices.filter(
         (frame) => new Date(frame.start) > now
       );
-      const cheapestFrames = [...futureFrames].sort((a, b) => a.price_gross - b.price_gross).slice(0, 3);
+      const cheapestFrames = [...futureFrames].sort((a, b) => this.getRankingPrice(a) - this.getRankingPrice(b)).slice(0, 3);
 
       const cheapestHours = cheapestFrames.map((frame) => {
         return new Date(frame.start)
@@ -217,7 +553,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
           .replace(",", "");
       });
 
-      const cheapestHoursValues = cheapestFrames.map((frame) => frame.price_gross);
+      const cheapestHoursValues = cheapestFrames.map((frame) => this.getRankingPrice(frame));
 
       await this.setCapabilityValue("cheapest_h0", cheapestHours[0]);
       await this.setCapabilityValue("cheapest_h0_value", cheapestHoursValues[0]);
@@ -232,9 +568,8 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       // Update price position capability
       await this.updatePricePositionCapability();
 
-      // Store frames for helper functions
-      this._validFrames = currentPrices;
-      this._currentFrame = currentFrame;
+      // Update long-term averages, today's average may have become known
+      await this.updateArchiveCapabilities();
 
     } catch (error) {
       this.error("Error updating capabilities from cache:", error);
@@ -248,22 +583,9 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     const calculateCheapestHourRank = (hourWindow) => {
       if (!currentFrame) return 0;
 
-      const currentHourStart = this._getCurrentHourStart();
-      const now = new Date(); // Still needed for windowEnd calculation
-      const windowEnd = new Date(now);
-      windowEnd.setHours(now.getHours() + hourWindow);
-
-      const windowFrames = currentPrices.filter((frame) => {
-        const frameStart = new Date(frame.start);
-        return frameStart >= currentHourStart && frameStart < windowEnd;
-      });
-
-      let framesWithCurrentHour = [...windowFrames];
-      if (!framesWithCurrentHour.some((frame) => frame.start === currentFrame.start)) {
-        framesWithCurrentHour.push(currentFrame);
-      }
+      const framesWithCurrentHour = this._getWindowFrames(currentPrices, currentFrame, hourWindow);
 
-      const sortedFrames = framesWithCurrentHour.sort((a, b) => a.price_gross - b.price_gross);
+      const sortedFrames = framesWithCurrentHour.sort((a, b) => this.getRankingPrice(a) - this.getRankingPrice(b));
       const currentFrameIndex = sortedFrames.findIndex((frame) => frame.start === currentFrame.start);
 
       if (currentFrameIndex === 0) return 1;
@@ -342,21 +664,57 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
 
     if (changedKeys.includes("apiKey")) {
       this.log("API key changed, requesting cache refresh");
-      this.driver.apiOrchestrator.requestManualRefresh();
+      this.driver.apiOrchestrator.requestManualRefresh(newSettings.apiKey);
       this.requestCacheUpdate();
     }
 
-    if (changedKeys.includes("priceRefreshHour")) {
-      this.log("Price refresh hour changed, cache will refresh at new time");
-      // Cache refresh logic is handled by the driver
+    if (
+      changedKeys.includes("priceRefreshHour") ||
+      changedKeys.includes("tomorrowPollInterval") ||
+      changedKeys.includes("tomorrowPollCutoffHour")
+    ) {
+      this.log("Price refresh schedule changed, cache will refresh at new time");
+      if (newSettings.apiKey) {
+        this.driver.apiOrchestrator.updateRefreshSchedule(newSettings.apiKey);
+      }
+      this.driver._scheduleNextRefresh();
+    }
+
+    if (changedKeys.includes("meterData") || (changedKeys.includes("apiKey") && newSettings.meterData)) {
+      this.updateMeterDataCapabilities().catch((err) => this.error("Error applying meter data setting:", err));
+      if (newSettings.meterData && newSettings.apiKey) {
+        this.driver.apiOrchestrator.refreshMeterData(newSettings.apiKey)
+          .catch((err) => this.error("Error refreshing meter data:", err));
+      }
+    }
+
+    // Settings that change the prices the device shows and ranks on
+    const priceBasisChanged = PRICE_BASIS_SETTINGS.some((key) => changedKeys.includes(key));
+
+    // The projection is priced at the all-in price, and a new budget starts a new crossing
+    if (newSettings.meterData && (changedKeys.includes("monthlyBudget") || priceBasisChanged)) {
+      this._projectionAboveBudget = null;
+      this.updateMeterDataCapabilities().catch((err) => this.error("Error updating the month cost projection:", err));
+    }
+
+    if (priceBasisChanged) {
+      this.log("Price mode or tariff changed, mode:", newSettings.priceMode, "tariff:", newSettings.tariffGroup);
+      this._invalidatePriceTiersCache();
+
+      // Blocks found with the other price mode must not be merged into the new ones
+      this._previousBlocks = null;
+      this.updateCapabilitiesFromCache().catch((err) => this.error("Error applying price mode:", err));
     }
 
     if (
+      priceBasisChanged ||
       changedKeys.includes("todayLabel") ||
       changedKeys.includes("tomorrowLabel") ||
       changedKeys.includes("priceDiffThreshold")
     ) {
-      if (changedKeys.includes("priceDiffThreshold")) {
+      if (priceBasisChanged) {
+        this.log("Price basis changed, updating periods");
+      } else if (changedKeys.includes("priceDiffThreshold")) {
         this.log("Price difference threshold changed to", newSettings.priceDiffThreshold + "%");
       } else {
         this.log("Date labels changed, updating periods");
@@ -383,9 +741,9 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
   async onDeleted() {
     this.log("PstrykPriceDevice has been deleted");
 
-    // Stop hour boundary detection
+    // Stop frame boundary detection
     if (this.internalStateUpdater) {
-      this.internalStateUpdater.stopHourBoundaryDetection();
+      this.internalStateUpdater.stopFrameBoundaryDetection();
     }
 
     // Remove cache update listener - use stored bound reference
@@ -397,6 +755,16 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     if (this._handleCacheStatusBound) {
       this.driver.removeListener('cache-status-changed', this._handleCacheStatusBound);
     }
+
+    // Remove archive update listener
+    if (this._handleArchiveUpdateBound) {
+      this.driver.removeListener('archive-updated', this._handleArchiveUpdateBound);
+    }
+
+    // Remove meter data update listener
+    if (this._handleMeterDataUpdateBound) {
+      this.driver.removeListener('meter-data-updated', this._handleMeterDataUpdateBound);
+    }
   }
 
   /**
@@ -466,10 +834,10 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
    * @returns {Object} Object containing cheap and expensive blocks
    */
   findOptimalPeriods(frames) {
-    // Consider future frames within the next 36 hours for better continuity
+    // Consider future frames within the next 36 hours for better continuity. Windows are measured
+    // in elapsed time, so on DST days they cover the same number of frames as on any other day.
     const now = new Date();
-    const cutoff = new Date(now);
-    cutoff.setHours(now.getHours() + 36);
+    const cutoff = new Date(now.getTime() + 36 * HOUR_MS);
 
     const futureFrames = frames.filter((frame) => {
       const frameStart = new Date(frame.start);
@@ -489,7 +857,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
 
       // Sort by price (ascending for cheap, descending for expensive)
       availableFrames.sort((a, b) => {
-        return isAscending ? a.price_gross - b.price_gross : b.price_gross - a.price_gross;
+        return isAscending ? this.getRankingPrice(a) - this.getRankingPrice(b) : this.getRankingPrice(b) - this.getRankingPrice(a);
       });
 
       const blocks = [];
@@ -503,16 +871,16 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
         if (processedFrames.has(startFrame.start)) continue;
 
         // Start a new block with this frame
-        // The API typically provides hourly data where a frame's end time is the same as
-        // the next frame's start time. For example, 14:00-15:00 and 15:00-16:00.
-        const frameDuration = new Date(startFrame.end) - new Date(startFrame.start);
+        // A frame's end time is the same as the next frame's start time, whatever the
+        // resolution. For example, 14:00-15:00 and 15:00-16:00, or 14:00-14:15 and 14:15-14:30.
+        const frameDuration = this._getFrameDuration(startFrame);
 
         // Create a block with proper start and end times
         const block = {
           startTime: new Date(startFrame.start),
           endTime: new Date(startFrame.end),
-          durationHours: Math.max(1, Math.round(frameDuration / 3600000)),
-          avgPrice: startFrame.price_gross,
+          durationHours: frameDuration / HOUR_MS,
+          avgPrice: this.getRankingPrice(startFrame),
           frames: [startFrame],
           // Add frameInfo for debugging
           frameInfo: [
@@ -520,29 +888,29 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
               index: 0,
               start: new Date(startFrame.start).toISOString(),
               end: new Date(startFrame.end).toISOString(),
-              price: startFrame.price_gross,
+              price: this.getRankingPrice(startFrame),
             },
           ],
         };
 
         processedFrames.add(startFrame.start);
 
-        // Try to extend the block with consecutive hours
+        // Try to extend the block with consecutive frames
         let extended = true;
 
-        // Keep extending until we can't anymore or reach 6 hours
-        while (extended && block.frames.length < 6) {
+        // Keep extending until we can't anymore or reach the maximum block duration
+        while (extended && block.endTime - block.startTime < MAX_BLOCK_DURATION) {
           extended = false;
 
           const lastFrameEnd = new Date(block.frames[block.frames.length - 1].end);
+          const firstFrameStart = new Date(block.frames[0].start);
 
           // Look for adjacent frames in both directions
           const adjacentFrames = availableFrames.filter((frame) => {
-            const frameStart = new Date(frame.start);
             return (
-              frameStart.getTime() === lastFrameEnd.getTime() || // Next hour
-              frameStart.getTime() === lastFrameEnd.getTime() - 3600000
-            ); // Previous hour
+              new Date(frame.start).getTime() === lastFrameEnd.getTime() || // Next frame
+              new Date(frame.end).getTime() === firstFrameStart.getTime()
+            ); // Previous frame
           });
 
           // Find best match within price threshold
@@ -554,7 +922,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
             const timeDiff = Math.abs(frameTime - lastFrameEnd);
 
             // Prioritize same price first, then closest time
-            if (frame.price_gross === block.avgPrice && timeDiff < bestTimeDiff) {
+            if (this.getRankingPrice(frame) === block.avgPrice && timeDiff < bestTimeDiff) {
               bestFrame = frame;
               bestTimeDiff = timeDiff;
             }
@@ -567,7 +935,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
               this.settings.priceDiffThreshold !== undefined ? this.settings.priceDiffThreshold / 100 : 0.1;
 
             adjacentFrames.forEach((frame) => {
-              const priceDiff = Math.abs(frame.price_gross - block.avgPrice);
+              const priceDiff = Math.abs(this.getRankingPrice(frame) - block.avgPrice);
               const timeDiff = Math.abs(new Date(frame.start) - lastFrameEnd);
 
               if (priceDiff <= block.avgPrice * priceDiffThreshold && timeDiff < bestTimeDiff) {
@@ -594,7 +962,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
                 index: frameIndex,
                 start: new Date(bestFrame.start).toISOString(),
                 end: new Date(bestFrame.end).toISOString(),
-                price: bestFrame.price_gross,
+                price: this.getRankingPrice(bestFrame),
                 position: "end",
               });
             } else {
@@ -607,7 +975,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
                 index: 0, // will shift others
                 start: new Date(bestFrame.start).toISOString(),
                 end: new Date(bestFrame.end).toISOString(),
-                price: bestFrame.price_gross,
+                price: this.getRankingPrice(bestFrame),
                 position: "beginning",
               });
 
@@ -618,14 +986,13 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
             }
 
             // Recalculate average
-            block.avgPrice = block.frames.reduce((sum, f) => sum + f.price_gross, 0) / block.frames.length;
+            block.avgPrice = block.frames.reduce((sum, f) => sum + this.getRankingPrice(f), 0) / block.frames.length;
 
-            // Verify and enforce time continuity - calculate duration based on frame count
-            // For hourly data, each frame should be 1 hour, so use frame count directly
-            block.durationHours = block.frames.length;
+            // Verify and enforce time continuity - sum the frame durations, so any resolution works
+            block.durationHours = block.frames.reduce((sum, f) => sum + this._getFrameDuration(f), 0) / HOUR_MS;
 
             // Double-check start/end times and log any irregularities
-            const startToEndDuration = (block.endTime - block.startTime) / 3600000;
+            const startToEndDuration = (block.endTime - block.startTime) / HOUR_MS;
             if (Math.abs(startToEndDuration - block.durationHours) > 0.1) {
               this.log(
                 `Warning: Duration mismatch - frames: ${block.durationHours}h, time diff: ${startToEndDuration.toFixed(2)}h`,
@@ -685,9 +1052,9 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     // Format blocks for display and return
     const formatBlocks = (blocks) => {
       return blocks.map((block, index) => {
-        const now = new Date();
-        const tomorrow = new Date(now);
-        tomorrow.setDate(now.getDate() + 1);
+        const timeZone = this.homey.clock.getTimezone();
+        const today = getDateKey(new Date(), timeZone);
+        const tomorrow = shiftDateKey(today, 1);
 
         const getDateLabel = (date) => {
           const dateStr = date.toLocaleDateString([], {
@@ -699,9 +1066,12 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
           const todayLabel = this.getSetting("todayLabel") || "Today";
           const tomorrowLabel = this.getSetting("tomorrowLabel") || "Tomorrow";
 
-          if (date.toDateString() === now.toDateString()) {
+          // Compare calendar days in Homey's timezone, not the process timezone
+          const dateKey = getDateKey(date, timeZone);
+          if (dateKey === today) {
             return todayLabel;
-          } else if (date.toDateString() === tomorrow.toDateString()) {
+          }
+          if (dateKey === tomorrow) {
             return tomorrowLabel;
           }
           return dateStr;
@@ -718,7 +1088,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
           })
           .replace("24:", "00:");
 
-        // For hourly data, API typically sets endTime to the start of the next hour
+        // The API sets endTime to the start of the next frame
         // We need to ensure end time displays correctly without appearing before start time
 
         // Create a proper formatter for times with hour display
@@ -754,8 +1124,8 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
         if (startDateLabel === endDateLabel) {
           formattedPeriod = `${startDateLabel} ${startTime}`;
 
-          // If we have multiple hours, show the range
-          if (block.durationHours > 1) {
+          // Show the range unless the block is exactly one hour
+          if (block.endTime - block.startTime !== HOUR_MS) {
             formattedPeriod += `-${endTime}`;
           }
         } else {
@@ -771,7 +1141,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
           ...block,
           formattedStartTime,
           formattedEndTime,
-          formattedPeriod: `${formattedPeriod} (Avg: ${block.avgPrice.toFixed(4)} PLN/kWh)`,
+          formattedPeriod: `${formattedPeriod} (Avg: ${block.avgPrice.toFixed(4)} ${this.getPriceUnit()})`,
           periodNumber: index + 1,
         };
       });
@@ -798,14 +1168,14 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       formattedCheapBlocks.forEach((block) => {
         // Enhanced logging with clear frame information
         this.log(
-          `Period ${block.periodNumber}: ${block.formattedPeriod} (${block.durationHours} hour${block.durationHours > 1 ? "s" : ""}) - Avg price: ${block.avgPrice.toFixed(4)}`,
+          `Period ${block.periodNumber}: ${block.formattedPeriod} (${this._formatDuration(block.durationHours)}) - Avg price: ${block.avgPrice.toFixed(4)}`,
         );
 
         // Log detailed frame info for debugging
         if (this.getSetting("debugMode")) {
           block.frameInfo?.forEach((frame) => {
             this.log(
-              `  Frame ${frame.index}: ${new Date(frame.start).toLocaleTimeString()} - ${new Date(frame.end).toLocaleTimeString()}`,
+              `  Frame ${frame.index}: ${this._formatLogTime(frame.start)} - ${this._formatLogTime(frame.end)}`,
             );
           });
         }
@@ -819,14 +1189,14 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       formattedExpensiveBlocks.forEach((block) => {
         // Enhanced logging with clear frame information
         this.log(
-          `Period ${block.periodNumber}: ${block.formattedPeriod} (${block.durationHours} hour${block.durationHours > 1 ? "s" : ""}) - Avg price: ${block.avgPrice.toFixed(4)}`,
+          `Period ${block.periodNumber}: ${block.formattedPeriod} (${this._formatDuration(block.durationHours)}) - Avg price: ${block.avgPrice.toFixed(4)}`,
         );
 
         // Log detailed frame info for debugging
         if (this.getSetting("debugMode")) {
           block.frameInfo?.forEach((frame) => {
             this.log(
-              `  Frame ${frame.index}: ${new Date(frame.start).toLocaleTimeString()} - ${new Date(frame.end).toLocaleTimeString()}`,
+              `  Frame ${frame.index}: ${this._formatLogTime(frame.start)} - ${this._formatLogTime(frame.end)}`,
             );
           });
         }
@@ -897,19 +1267,20 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
 
         currentBlock.frames = uniqueFrames;
 
-        // Use frame count for duration - most accurate for hourly data
-        currentBlock.durationHours = currentBlock.frames.length;
+        // Sum the frame durations - correct for any frame resolution
+        currentBlock.durationHours =
+          currentBlock.frames.reduce((sum, frame) => sum + this._getFrameDuration(frame), 0) / HOUR_MS;
 
         // Recalculate average price based on all frames
         currentBlock.avgPrice =
-          currentBlock.frames.reduce((sum, frame) => sum + frame.price_gross, 0) / currentBlock.frames.length;
+          currentBlock.frames.reduce((sum, frame) => sum + this.getRankingPrice(frame), 0) / currentBlock.frames.length;
 
         // Rebuild frameInfo for continuity
         currentBlock.frameInfo = currentBlock.frames.map((frame, index) => ({
           index,
           start: new Date(frame.start).toISOString(),
           end: new Date(frame.end).toISOString(),
-          price: frame.price_gross,
+          price: this.getRankingPrice(frame),
         }));
       } else {
         merged.push(currentBlock);
@@ -934,10 +1305,10 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
 
 
   /**
-   * Calculate exact position of current hour when sorted by price
+   * Calculate exact position of the current frame when sorted by price
    * @param {number} hourWindow - The time window in hours
    * @param {boolean} cheapestFirst - If true, sort cheapest to expensive. If false, sort expensive to cheapest
-   * @returns {Object} Object containing position and total hours
+   * @returns {Object} Object containing position and total number of frames in the window
    */
   calculateExactPricePosition(hourWindow, cheapestFirst = true) {
     // Use cached data if available
@@ -945,69 +1316,30 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
     const currentFrame = this._currentFrame;
 
     if (!currentFrame || validFrames.length === 0) {
-      return { position: 0, totalHours: 0 };
+      return { position: 0, totalFrames: 0 };
     }
 
-    const currentHourStart = this._getCurrentHourStart();
-    const now = new Date(); // Still needed for windowEnd calculation
-    const windowEnd = new Date(now);
-    windowEnd.setHours(now.getHours() + hourWindow);
-
-    // Get all frames within the window (including the current hour)
-    const windowFrames = validFrames.filter((frame) => {
-      const frameStart = new Date(frame.start);
-      return frameStart >= currentHourStart && frameStart < windowEnd;
-    });
-
-    // Add current hour to window frames if not already included
-    let framesWithCurrentHour = [...windowFrames];
-    if (!framesWithCurrentHour.some((frame) => frame.start === currentFrame.start)) {
-      framesWithCurrentHour.push(currentFrame);
-    }
-
-    if (framesWithCurrentHour.length === 0) {
-      return { position: 0, totalHours: 0 };
-    }
+    // Get all frames within the window (including the current frame)
+    const framesWithCurrentHour = this._getWindowFrames(validFrames, currentFrame, hourWindow);
 
     // Sort frames by price
     const sortedFrames = framesWithCurrentHour.sort((a, b) => {
-      return cheapestFirst ? a.price_gross - b.price_gross : b.price_gross - a.price_gross;
+      return cheapestFirst ? this.getRankingPrice(a) - this.getRankingPrice(b) : this.getRankingPrice(b) - this.getRankingPrice(a);
     });
 
     // Find current frame's position in the sorted list (1-based)
     const currentFrameIndex = sortedFrames.findIndex((frame) => frame.start === currentFrame.start);
 
     const position = currentFrameIndex >= 0 ? currentFrameIndex + 1 : 0;
-    const totalHours = sortedFrames.length;
+    const totalFrames = sortedFrames.length;
 
     this.log(
-      `Current hour position: ${position}/${totalHours} in ${hourWindow}-hour window (${cheapestFirst ? "cheapest first" : "expensive first"})`,
+      `Current frame position: ${position}/${totalFrames} in ${hourWindow}-hour window (${cheapestFirst ? "cheapest first" : "expensive first"})`,
     );
 
-    return { position, totalHours };
+    return { position, totalFrames };
   }
 
-  // async getHistoricalPrices(apiKey) {
-  //   const now = new Date();
-  //   const windowStart = new Date(now);
-  //   windowStart.setDate(now.getDate() - 7);
-
-  //   const response = await this.apiRequest(
-  //     "/integrations/pricing/",
-  //     {
-  //       resolution: "day",
-  //       window_start: windowStart.toISOString(),
-  //       window_end: now.toISOString(),
-  //     },
-  //     apiKey,
-  //   );
-
-  //   return response.frames.map((frame) => ({
-  //     timestamp: new Date(frame.start).getTime(),
-  //     price: frame.price_gross_avg,
-  //   }));
-  // }
-
   /**
    * Calculates price position using tiered ranking for fair tie handling
    * @param {number} hourWindow - Time window in hours (4, 8, 12, 24, 36)
@@ -1081,22 +1413,8 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       return hourWindow;  // Return worst position for this window
     }
 
-    const currentHourStart = this._getCurrentHourStart();
-    const now = new Date(); // Still needed for windowEnd calculation
-    const windowEnd = new Date(now);
-    windowEnd.setHours(now.getHours() + hourWindow);
-
-    // Get all frames within the window (including the current hour)
-    const windowFrames = validFrames.filter((frame) => {
-      const frameStart = new Date(frame.start);
-      return frameStart >= currentHourStart && frameStart < windowEnd;
-    });
-
-    // Add current hour to window frames if not already included
-    let framesWithCurrentHour = [...windowFrames];
-    if (!framesWithCurrentHour.some((frame) => frame.start === currentFrame.start)) {
-      framesWithCurrentHour.push(currentFrame);
-    }
+    // Get all frames within the window (including the current frame)
+    const framesWithCurrentHour = this._getWindowFrames(validFrames, currentFrame, hourWindow);
 
     if (framesWithCurrentHour.length === 0) {
       this.log(`No frames in ${hourWindow}h window - returning worst position ${hourWindow}`);
@@ -1128,7 +1446,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
 
     // Group frames by price (with floating point precision handling)
     frames.forEach((frame) => {
-      const priceKey = Number(frame.price_gross.toFixed(6)); // 6 decimal precision for grouping
+      const priceKey = Number(this.getRankingPrice(frame).toFixed(6)); // 6 decimal precision for grouping
       if (!priceGroups[priceKey]) {
         priceGroups[priceKey] = [];
       }
@@ -1153,7 +1471,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
    * @returns {Object} The price tier containing the current frame
    */
   findTierForCurrentHour(priceTiers, currentFrame) {
-    const currentPrice = Number(currentFrame.price_gross.toFixed(6));
+    const currentPrice = Number(this.getRankingPrice(currentFrame).toFixed(6));
 
     return (
       priceTiers.find(
@@ -1189,29 +1507,169 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
   }
 
   /**
-   * Get the start of the current hour (00 minutes, 00 seconds, 00 milliseconds)
-   * This ensures consistent time window filtering across all position calculations,
-   * guaranteeing the current hour is always included in the analysis window
-   * regardless of when the calculation runs during the hour.
-   * 
-   * @returns {Date} Start of the current hour
+   * Check whether the device is set to show net (VAT excluded) prices
+   * @returns {boolean}
+   */
+  usesNetPrices() {
+    return this.settings.priceMode === "net";
+  }
+
+  /**
+   * Price of a frame in the price mode selected in the device settings
+   * @param {Object} frame - Price frame
+   * @returns {number} Net or gross price in PLN/kWh
+   */
+  getFramePrice(frame) {
+    return this.usesNetPrices() ? frame.price_net : frame.price_gross;
+  }
+
+  /**
+   * All-in price of a frame: energy price plus the distribution charge of the frame's tariff zone
+   * and the per-kWh surcharges, in the price mode selected in the device settings
+   * @param {Object} frame - Price frame
+   * @returns {number} Price in PLN/kWh
+   */
+  getFrameTotalPrice(frame) {
+    const { settings } = this;
+    const surcharges = (settings.qualityCharge || 0) + (settings.renewableCharge || 0) + (settings.cogenerationCharge || 0);
+
+    let distribution = 0;
+    if (settings.tariffGroup && settings.tariffGroup !== "none") {
+      const zone = getTariffZone(settings.tariffGroup, this._getLocalTime(new Date(frame.start)));
+      const rates = {
+        peak: settings.distributionRatePeak,
+        afternoon: settings.distributionRateAfternoon,
+        offPeak: settings.distributionRateOffPeak,
+      };
+      distribution = rates[zone] || 0;
+    }
+
+    // Tariff rates are entered net, as published by the distribution system operator
+    const charges = (distribution + surcharges) * (this.usesNetPrices() ? 1 : 1 + VAT_RATE);
+    return this.getFramePrice(frame) + charges;
+  }
+
+  /**
+   * Price the rankings and usage periods are based on: the energy price, or the all-in price
+   * if enabled in the device settings
+   * @param {Object} frame - Price frame
+   * @returns {number} Price in PLN/kWh
+   */
+  getRankingPrice(frame) {
+    return this.settings.rankOnTotalPrice ? this.getFrameTotalPrice(frame) : this.getFramePrice(frame);
+  }
+
+  /**
+   * Local hour, weekday and month of a time in Homey's timezone
+   * @param {Date} time - Time to convert
+   * @returns {{hour: number, weekday: number, month: number}}
+   */
+  _getLocalTime(time) {
+    const { hour, weekday, month } = getLocalParts(time, this.homey.clock.getTimezone());
+    return { hour, weekday, month };
+  }
+
+  /**
+   * Format a time for the debug log in Homey's timezone
+   * @param {Date|string} time - Time to format
+   * @returns {string}
+   */
+  _formatLogTime(time) {
+    return new Date(time).toLocaleTimeString("en-GB", { timeZone: this.homey.clock.getTimezone(), hourCycle: "h23" });
+  }
+
+  /**
+   * Unit label of the prices the rankings and usage periods are based on
+   * @returns {string}
+   */
+  getPriceUnit() {
+    const basis = [this.settings.rankOnTotalPrice ? "all-in" : null, this.usesNetPrices() ? "net" : null].filter(Boolean);
+    return ["PLN/kWh", ...basis].join(" ");
+  }
+
+  /**
+   * Find the price frame covering the given time
+   * @param {Date} time - Time to look up
+   * @returns {Object|undefined} Frame covering the time, if any
+   */
+  findFrameAt(time) {
+    const frames = this._cachedData?.currentPrices || [];
+    return frames.find((frame) => time >= new Date(frame.start) && time < new Date(frame.end));
+  }
+
+  /**
+   * All-in price valid at a given time, for devices that put a cost on energy (the meter).
+   * Without a tariff group and surcharges this is the energy price.
+   * @param {Date} time - Time to look up
+   * @returns {{price: number, end: Date}|null} Price in PLN/kWh and the end of its frame, or null without price data
+   */
+  getTotalPriceAt(time) {
+    const frame = this.findFrameAt(time);
+    if (!frame) return null;
+    return { price: this.getFrameTotalPrice(frame), end: new Date(frame.end) };
+  }
+
+  /**
+   * Duration of a price frame in milliseconds (1 hour for hourly data, 15 minutes for quarter-hourly)
+   * @param {Object} frame - Price frame
+   * @returns {number} Frame duration in milliseconds
+   */
+  _getFrameDuration(frame) {
+    return new Date(frame.end) - new Date(frame.start);
+  }
+
+  /**
+   * Format a duration given in (possibly fractional) hours for logging
+   * @param {number} durationHours - Duration in hours
+   * @returns {string} e.g. "2 hours", "1 hour 15 min", "45 min"
+   */
+  _formatDuration(durationHours) {
+    const totalMinutes = Math.round(durationHours * 60);
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+
+    const parts = [];
+    if (hours > 0) parts.push(`${hours} hour${hours > 1 ? "s" : ""}`);
+    if (minutes > 0 || hours === 0) parts.push(`${minutes} min`);
+    return parts.join(" ");
+  }
+
+  /**
+   * Get the frames starting within a window that begins at the current frame
+   *
+   * The window starts at the current frame's start rather than the clock hour, so the
+   * current frame is always included regardless of when the calculation runs and
+   * regardless of the frame resolution.
+   *
+   * @param {Array} frames - All cached frames
+   * @param {Object} currentFrame - The frame covering the current time
+   * @param {number} hourWindow - Window length in hours
+   * @returns {Array} Frames in the window, including the current frame
    * @private
    */
-  _getCurrentHourStart() {
-    const now = new Date();
-    const currentHourStart = new Date(now);
-    currentHourStart.setMinutes(0, 0, 0);
-    
-    // Debug logging in development
+  _getWindowFrames(frames, currentFrame, hourWindow) {
+    const windowStart = new Date(currentFrame.start);
+    const windowEnd = new Date(windowStart.getTime() + hourWindow * HOUR_MS);
+
+    const windowFrames = frames.filter((frame) => {
+      const frameStart = new Date(frame.start);
+      return frameStart >= windowStart && frameStart < windowEnd;
+    });
+
+    // Add current frame to window frames if not already included
+    if (!windowFrames.some((frame) => frame.start === currentFrame.start)) {
+      windowFrames.push(currentFrame);
+    }
+
     if (this.getSetting('debugMode')) {
       this.log('Time reference:', {
-        now: now.toISOString(),
-        currentHourStart: currentHourStart.toISOString(),
-        difference: `${now.getMinutes()} minutes into hour`
+        windowStart: windowStart.toISOString(),
+        windowEnd: windowEnd.toISOString(),
+        frames: windowFrames.length
       });
     }
-    
-    return currentHourStart;
+
+    return windowFrames;
   }
 
   /**
@@ -1223,7 +1681,7 @@ module.exports = class PstrykPriceDevice extends Homey.Device {
       
       // Call the new immediate refresh method from API orchestrator
       // This method handles rate limiting centrally and provides user feedback
-      await this.driver.apiOrchestrator.requestManualRefreshImmediate();
+      await this.driver.apiOrchestrator.requestManualRefreshImmediate(this.settings.apiKey);
       
       this.log("Manual price data refresh completed successfully");
       
@@ -1,30 +1,129 @@
 "use strict";
 
 const Homey = require("homey");
+const http = require("http");
 const https = require("https");
+const crypto = require("crypto");
+const {
+  HOUR_MS, getDateKey, shiftDateKey, getStartOfDay, getNextLocalHour, getLocalParts, isStartOfDay,
+} = require("../../lib/timezone");
+
+// Homey settings key under which the price cache survives app restarts
+const CACHE_STORAGE_KEY = "priceDataCache";
+
+// App setting holding the pricing API base URL, e.g. to point the app at tools/standin/server.js
+const API_BASE_URL_SETTING = "api_base_url";
+const DEFAULT_API_BASE_URL = "https://api.pstryk.pl";
+
+// Homey settings key holding the per-account price archive
+const ARCHIVE_STORAGE_KEY = "priceArchive";
+
+// How far back the archive keeps (and backfills) hourly and daily prices
+const ARCHIVE_RETENTION_DAYS = 90;
+
+// How many months of monthly averages the archive keeps
+const ARCHIVE_RETENTION_MONTHS = 13;
+
+// Abort API requests that take longer than this
+const API_REQUEST_TIMEOUT = 15000;
+
+// Resolution requested from the pricing endpoint. Frame durations are always taken from
+// the returned frames, so shorter settlement periods (e.g. 15 minutes) are handled as well.
+const PRICE_RESOLUTION = "hour";
+
+// Meter data (energy usage) is aggregated per hour in the PSTRYK cloud; it is fetched a few
+// minutes after every full hour, once the finished hour has been aggregated
+const METER_DATA_REFRESH_DELAY = 5 * 60 * 1000;
+
+// Past days the hour-of-day usage profile and hour-of-day prices of the month cost projection
+// are averaged over
+const USAGE_PROFILE_DAYS = 14;
+const HOUR_OF_DAY_PRICE_DAYS = 14;
+
+/**
+ * Error raised by the PSTRYK API client, tagged with a category devices can act on
+ */
+class PstrykApiError extends Error {
+  /**
+   * @param {string} message - Human readable error message
+   * @param {string} category - One of auth, rate_limit, server, malformed, timeout, http, network
+   * @param {number|null} statusCode - HTTP status code, if a response was received
+   */
+  constructor(message, category, statusCode = null) {
+    super(message);
+    this.name = this.constructor.name;
+    this.category = category;
+    this.statusCode = statusCode;
+  }
+
+  /**
+   * Transient errors are expected to resolve on their own; others need user action
+   * @returns {boolean}
+   */
+  isTransient() {
+    return this.category !== "auth";
+  }
+}
+
+class PstrykAuthError extends PstrykApiError {
+  constructor(statusCode) {
+    super("PSTRYK API rejected the API key, check the device settings", "auth", statusCode);
+  }
+}
+
+class PstrykRateLimitError extends PstrykApiError {
+  constructor(retryAfter) {
+    super("PSTRYK API rate limit reached", "rate_limit", 429);
+    this.retryAfter = retryAfter; // seconds, null if not provided
+  }
+}
+
+class PstrykServerError extends PstrykApiError {
+  constructor(statusCode) {
+    super(`PSTRYK API server error (HTTP ${statusCode})`, "server", statusCode);
+  }
+}
+
+class PstrykMalformedResponseError extends PstrykApiError {
+  constructor(detail, statusCode = null) {
+    super(`Malformed response from PSTRYK API: ${detail}`, "malformed", statusCode);
+  }
+}
+
+class PstrykTimeoutError extends PstrykApiError {
+  constructor(timeout) {
+    super(`PSTRYK API did not respond within ${timeout / 1000} seconds`, "timeout");
+  }
+}
 
 /**
  * Price Data Cache class for storing and validating price data
  */
 class PriceDataCache {
-  constructor() {
+  /**
+   * @param {Function} getTimeZone - Returns the timezone the cache date is compared in
+   */
+  constructor(getTimeZone = () => undefined) {
+    this.getTimeZone = getTimeZone;
     this.currentPrices = [];
     this.dailyAverage = null;
+    this.dailyAverageNet = null;
     this.lastUpdated = null;
     this.expiresAt = null;
     this.date = null;
     this.isValid = false;
+    this.isStale = false;
   }
 
   isCacheValid() {
     const now = new Date();
-    const currentDate = now.toLocaleDateString("en-CA");
+    const currentDate = getDateKey(now, this.getTimeZone());
 
     // Invalid if date changed
     if (this.date !== currentDate) return false;
 
     // Invalid if expired
-    if (now.getTime() > this.expiresAt) return false;
+    if (now.getTime() >= this.expiresAt) return false;
 
     // Invalid if no data
     if (!this.currentPrices.length) return false;
@@ -35,62 +134,584 @@ class PriceDataCache {
   invalidateCache() {
     this.currentPrices = [];
     this.dailyAverage = null;
+    this.dailyAverageNet = null;
     this.lastUpdated = null;
     this.expiresAt = null;
     this.date = null;
     this.isValid = false;
+    this.isStale = false;
   }
 
   updateCache(data) {
     this.currentPrices = data.currentPrices || [];
     this.dailyAverage = data.dailyAverage || null;
+    this.dailyAverageNet = data.dailyAverageNet || null;
     this.lastUpdated = Date.now();
     this.expiresAt = data.expiresAt || null;
     this.date = data.date || null;
     this.isValid = true;
+    this.isStale = !!data.isStale;
   }
 
-  getCachedData() {
-    if (!this.isCacheValid()) {
+  /**
+   * Get the cached data
+   * @param {boolean} allowStale - Also return data that is no longer valid, flagged as stale
+   * @returns {Object|null} Cached data or null if nothing can be served
+   */
+  getCachedData(allowStale = false) {
+    const isValid = this.isCacheValid();
+    if (!isValid && (!allowStale || !this.currentPrices.length)) {
       return null;
     }
 
     return {
       currentPrices: this.currentPrices,
       dailyAverage: this.dailyAverage,
+      dailyAverageNet: this.dailyAverageNet,
+      lastUpdated: this.lastUpdated,
+      expiresAt: this.expiresAt,
+      date: this.date,
+      isStale: this.isStale || !isValid
+    };
+  }
+
+  /**
+   * Serialize the cache for persistent storage
+   * @returns {Object} Plain object safe to store in Homey settings
+   */
+  serialize() {
+    return {
+      currentPrices: this.currentPrices,
+      dailyAverage: this.dailyAverage,
+      dailyAverageNet: this.dailyAverageNet,
       lastUpdated: this.lastUpdated,
       expiresAt: this.expiresAt,
-      date: this.date
+      date: this.date,
+      isStale: this.isStale
     };
   }
+
+  /**
+   * Restore the cache from persisted data, re-checking validity against the current date
+   * @param {Object} data - Data previously produced by serialize()
+   */
+  restore(data) {
+    this.currentPrices = Array.isArray(data.currentPrices) ? data.currentPrices : [];
+    this.dailyAverage = data.dailyAverage || null;
+    this.dailyAverageNet = data.dailyAverageNet || null;
+    this.lastUpdated = data.lastUpdated || null;
+    this.expiresAt = data.expiresAt || null;
+    this.date = data.date || null;
+    this.isStale = !!data.isStale;
+    this.isValid = this.isCacheValid();
+
+    // Data from a previous day or past its expiry can still be served, but only as stale
+    if (!this.isValid && this.currentPrices.length) {
+      this.isStale = true;
+    }
+  }
+}
+
+/**
+ * Rolling archive of past prices for one account
+ *
+ * Hourly frames are stored as [startMs, endMs, priceGross, priceNet] tuples and daily and monthly
+ * averages as [priceGross, priceNet] pairs keyed by local date (YYYY-MM-DD) and month (YYYY-MM),
+ * keeping the archive small enough for Homey settings.
+ */
+class PriceArchive {
+  constructor() {
+    this.hourly = [];
+    this.daily = {};
+    this.monthly = {};
+    this.lastBackfill = null;
+  }
+
+  /**
+   * Merge fetched hourly frames and derive the averages of the days they fully cover
+   * @param {Array} frames - Price frames from the pricing endpoint
+   * @param {string} timeZone - Timezone days are counted in
+   */
+  addFrames(frames, timeZone) {
+    const byStart = new Map(this.hourly.map((entry) => [entry[0], entry]));
+    frames.forEach((frame) => {
+      const start = new Date(frame.start).getTime();
+      byStart.set(start, [start, new Date(frame.end).getTime(), frame.price_gross, frame.price_net]);
+    });
+    this.hourly = [...byStart.values()].sort((a, b) => a[0] - b[0]);
+
+    const days = new Map();
+    this.hourly.forEach((entry) => {
+      const dateKey = getDateKey(entry[0], timeZone);
+      if (!days.has(dateKey)) days.set(dateKey, []);
+      days.get(dateKey).push(entry);
+    });
+
+    days.forEach((entries, dateKey) => {
+      const first = entries[0];
+      const last = entries[entries.length - 1];
+      const duration = entries.reduce((sum, entry) => sum + (entry[1] - entry[0]), 0);
+
+      // Only complete days: from the start of the local day to the start of the next without gaps
+      const isComplete = isStartOfDay(first[0], timeZone)
+        && isStartOfDay(last[1], timeZone)
+        && duration === last[1] - first[0];
+      if (!isComplete) return;
+
+      const average = (index) => entries.reduce((sum, entry) => sum + entry[index] * (entry[1] - entry[0]), 0) / duration;
+      this.daily[dateKey] = [average(2), average(3)];
+    });
+  }
+
+  /**
+   * Store daily or monthly averages returned by the pricing endpoint
+   * @param {Array} frames - Aggregated frames carrying price_gross_avg and price_net_avg
+   * @param {string} resolution - "day" or "month"
+   * @param {string} timeZone - Timezone the frames were aggregated in
+   */
+  addAggregatedFrames(frames, resolution, timeZone) {
+    const target = resolution === "month" ? this.monthly : this.daily;
+    frames.forEach((frame) => {
+      if (typeof frame.price_gross_avg !== "number" || typeof frame.price_net_avg !== "number") return;
+
+      const dateKey = getDateKey(frame.start, timeZone);
+      const key = resolution === "month" ? dateKey.slice(0, 7) : dateKey;
+      target[key] = [frame.price_gross_avg, frame.price_net_avg];
+    });
+  }
+
+  /**
+   * Drop everything older than the retention period
+   * @param {string} timeZone - Timezone days are counted in
+   * @param {Date} now - Reference time
+   */
+  prune(timeZone, now = new Date()) {
+    const today = getDateKey(now, timeZone);
+    const oldestDay = shiftDateKey(today, -ARCHIVE_RETENTION_DAYS);
+    const oldestHour = getStartOfDay(oldestDay, timeZone).getTime();
+    const [year, month] = today.split("-").map(Number);
+    const oldestMonth = new Date(Date.UTC(year, month - 1 - ARCHIVE_RETENTION_MONTHS, 1)).toISOString().slice(0, 7);
+
+    this.hourly = this.hourly.filter((entry) => entry[1] > oldestHour);
+    Object.keys(this.daily).forEach((key) => {
+      if (key < oldestDay) delete this.daily[key];
+    });
+    Object.keys(this.monthly).forEach((key) => {
+      if (key < oldestMonth) delete this.monthly[key];
+    });
+  }
+
+  /**
+   * Check whether the daily history misses days within the retention period
+   * @param {string} timeZone - Timezone days are counted in
+   * @param {Date} now - Reference time
+   * @returns {boolean}
+   */
+  needsBackfill(timeZone, now = new Date()) {
+    const today = getDateKey(now, timeZone);
+    if (this.lastBackfill === today) return false;
+
+    for (let day = 1; day <= ARCHIVE_RETENTION_DAYS; day++) {
+      if (!this.daily[shiftDateKey(today, -day)]) return true;
+    }
+    return false;
+  }
+
+  /**
+   * Average of the daily averages of the given number of days before today
+   * @param {number} days - Number of past days
+   * @param {string} timeZone - Timezone days are counted in
+   * @param {boolean} useNet - Average net instead of gross prices
+   * @param {Date} now - Reference time
+   * @returns {number|null} Average price, null if none of the days is archived
+   */
+  getAverage(days, timeZone, useNet = false, now = new Date()) {
+    const today = getDateKey(now, timeZone);
+    const values = [];
+    for (let day = 1; day <= days; day++) {
+      const entry = this.daily[shiftDateKey(today, -day)];
+      if (entry) values.push(entry[useNet ? 1 : 0]);
+    }
+    if (!values.length) return null;
+
+    return values.reduce((sum, value) => sum + value, 0) / values.length;
+  }
+
+  /**
+   * Average price of today, once all of today's prices are known
+   * @param {string} timeZone - Timezone days are counted in
+   * @param {boolean} useNet - Net instead of gross price
+   * @param {Date} now - Reference time
+   * @returns {number|null}
+   */
+  getDayAverage(timeZone, useNet = false, now = new Date()) {
+    const entry = this.daily[getDateKey(now, timeZone)];
+    return entry ? entry[useNet ? 1 : 0] : null;
+  }
+
+  /**
+   * Average price of every local hour of day over the archived hours from the given number of days
+   * before today on, including the published prices of today and tomorrow
+   * @param {number} days - Number of past days
+   * @param {string} timeZone - Timezone days and hours are counted in
+   * @param {Date} now - Reference time
+   * @returns {Array<Array<number>|null>} 24 [priceGross, priceNet] pairs, null for hours without data
+   */
+  getHourOfDayAverages(days, timeZone, now = new Date()) {
+    const today = getDateKey(now, timeZone);
+    const oldest = getStartOfDay(shiftDateKey(today, -days), timeZone).getTime();
+    const sums = Array.from({ length: 24 }, () => [0, 0, 0]);
+
+    this.hourly.forEach((entry) => {
+      if (entry[0] < oldest) return;
+      const sum = sums[getLocalParts(entry[0], timeZone).hour];
+      sum[0] += entry[2];
+      sum[1] += entry[3];
+      sum[2]++;
+    });
+
+    return sums.map(([gross, net, count]) => (count ? [gross / count, net / count] : null));
+  }
+
+  /**
+   * Serialize the archive for persistent storage
+   * @returns {Object} Plain object safe to store in Homey settings
+   */
+  serialize() {
+    return {
+      hourly: this.hourly,
+      daily: this.daily,
+      monthly: this.monthly,
+      lastBackfill: this.lastBackfill,
+    };
+  }
+
+  /**
+   * Restore the archive from persisted data
+   * @param {Object} data - Data previously produced by serialize()
+   */
+  restore(data) {
+    this.hourly = Array.isArray(data.hourly) ? data.hourly : [];
+    this.daily = data.daily || {};
+    this.monthly = data.monthly || {};
+    this.lastBackfill = data.lastBackfill || null;
+  }
+}
+
+/**
+ * Get the next occurrence of the given refresh hour
+ * @param {number} refreshHour - Local hour of day (0-23)
+ * @param {Date} from - Reference time
+ * @param {string} timeZone - Timezone the refresh hour is in
+ * @returns {Date} Next refresh time, today if the hour has not passed yet, tomorrow otherwise
+ */
+function getNextRefreshTime(refreshHour, from, timeZone) {
+  return getNextLocalHour(refreshHour, from, timeZone);
+}
+
+/**
+ * End of tomorrow, i.e. the start of the local day after tomorrow
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function getTomorrowEnd(now, timeZone) {
+  return getStartOfDay(shiftDateKey(getDateKey(now, timeZone), 2), timeZone);
+}
+
+/**
+ * Check whether the frames cover the whole next calendar day
+ * @param {Array} frames - Price frames
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - Timezone days are counted in
+ * @returns {boolean} True if tomorrow's prices have been published
+ */
+function hasPricesForTomorrow(frames, now, timeZone) {
+  const tomorrowEnd = getTomorrowEnd(now, timeZone);
+  return frames.some((frame) => new Date(frame.end) >= tomorrowEnd);
+}
+
+/**
+ * First days of the periods meter data is summed over
+ * @param {Date} now - Reference time
+ * @param {string} timeZone - IANA timezone
+ * @returns {{today: string, yesterday: string, week: string, month: string, lastMonth: string}}
+ *   Date keys (YYYY-MM-DD), the week starting on Monday
+ */
+function getMeterDataPeriods(now, timeZone) {
+  const today = getDateKey(now, timeZone);
+  const { weekday } = getLocalParts(now, timeZone);
+  const month = `${today.slice(0, 8)}01`;
+  return {
+    today,
+    yesterday: shiftDateKey(today, -1),
+    week: shiftDateKey(today, -((weekday + 6) % 7)),
+    month,
+    lastMonth: `${shiftDateKey(month, -1).slice(0, 8)}01`,
+  };
+}
+
+/**
+ * Carbon intensity of the live hour: its footprint so far divided by its usage so far, which is
+ * the emission factor of the region for that hour
+ * @param {Object[]} usageFrames - Hourly energy-usage frames
+ * @param {Object[]} carbonFrames - Hourly carbon-footprint frames
+ * @returns {number|null} gCO2eq/kWh, or null while the live hour has no usage or no footprint
+ */
+function getCarbonIntensity(usageFrames, carbonFrames) {
+  const usageFrame = usageFrames.find((frame) => frame.is_live);
+  if (!usageFrame || !(usageFrame.fae_usage > 0)) return null;
+
+  const carbonFrame = carbonFrames.find((frame) => frame.start === usageFrame.start);
+  if (!carbonFrame || typeof carbonFrame.carbon_footprint !== "number") return null;
+
+  return carbonFrame.carbon_footprint / usageFrame.fae_usage;
 }
 
 /**
  * API Orchestrator class for managing API calls and cache
+ *
+ * Keeps one PriceDataCache per distinct API key, so devices linked to different
+ * PSTRYK accounts each get their own prices.
  */
 class APIOrchestrator {
   constructor(driver) {
     this.driver = driver;
-    this.cache = new PriceDataCache();
-    this.isRefreshing = false;
-    this.manualRefreshRequested = false;
-    this.lastManualRefreshTime = 0; // Track rate limiting centrally
+    this.caches = new Map(); // cache key -> PriceDataCache
+    this.archives = new Map(); // cache key -> PriceArchive
+    this.meterData = new Map(); // cache key -> latest meter data, see getMeterData()
+    this.usageProfiles = new Map(); // cache key -> { date, profile }
+    this.refreshingKeys = new Set();
+    this.manualRefreshKeys = new Set();
+    this.lastManualRefreshTimes = new Map(); // Track rate limiting centrally, per account
+  }
+
+  /**
+   * Derive the cache key for an API key, so raw keys are never used as storage keys
+   * @param {string} apiKey - PSTRYK API key
+   * @returns {string} Cache key
+   */
+  getCacheKey(apiKey) {
+    return crypto.createHash("sha256").update(apiKey).digest("hex").slice(0, 16);
+  }
+
+  /**
+   * Get the cache for an API key, creating it if needed
+   * @param {string} apiKey - PSTRYK API key
+   * @returns {PriceDataCache}
+   */
+  getCache(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+    if (!this.caches.has(cacheKey)) {
+      this.caches.set(cacheKey, new PriceDataCache(() => this._getTimeZone()));
+    }
+    return this.caches.get(cacheKey);
+  }
+
+  /**
+   * Get or create the price archive for an API key
+   * @param {string} apiKey - PSTRYK API key
+   * @returns {PriceArchive}
+   */
+  getArchive(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+    if (!this.archives.has(cacheKey)) {
+      this.archives.set(cacheKey, new PriceArchive());
+    }
+    return this.archives.get(cacheKey);
+  }
+
+  /**
+   * Long-term price statistics of an account, from its archive
+   * @param {string} apiKey - PSTRYK API key
+   * @param {boolean} useNet - Use net instead of gross prices
+   * @returns {{average7d: number|null, average30d: number|null, todayVsWeekAverage: number|null}}
+   *   Averages in PLN/kWh, today's average vs the 7-day average in percent
+   */
+  getPriceStatistics(apiKey, useNet = false) {
+    const archive = this.getArchive(apiKey);
+    const timeZone = this._getTimeZone();
+
+    const average7d = archive.getAverage(7, timeZone, useNet);
+    const average30d = archive.getAverage(30, timeZone, useNet);
+    const todayAverage = archive.getDayAverage(timeZone, useNet);
+
+    let todayVsWeekAverage = null;
+    if (todayAverage !== null && average7d) {
+      todayVsWeekAverage = ((todayAverage - average7d) / Math.abs(average7d)) * 100;
+    }
+
+    return { average7d, average30d, todayVsWeekAverage };
+  }
+
+  /**
+   * Typical price of every local hour of day from the account's price archive, for pricing hours
+   * whose prices are not published yet. Hours never archived fall back to the 7-day average.
+   * @param {string} apiKey - PSTRYK API key
+   * @returns {Array<Object|null>} 24 price_gross/price_net pairs, all null without any archived prices
+   */
+  getHourOfDayPrices(apiKey) {
+    const archive = this.getArchive(apiKey);
+    const timeZone = this._getTimeZone();
+    const averages = archive.getHourOfDayAverages(HOUR_OF_DAY_PRICE_DAYS, timeZone);
+    const fallback = [archive.getAverage(7, timeZone), archive.getAverage(7, timeZone, true)];
+
+    return averages.map((average) => {
+      const [priceGross, priceNet] = average || fallback;
+      return priceGross === null ? null : { price_gross: priceGross, price_net: priceNet };
+    });
+  }
+
+  /**
+   * Get the cached data for the account a device is linked to
+   * @param {Homey.Device} device - Price device
+   * @param {boolean} allowStale - Also return data that is no longer valid
+   * @returns {Object|null} Cached data or null if nothing can be served
+   */
+  getCachedDataForDevice(device, allowStale = false) {
+    const apiKey = this._getDeviceSetting(device, "apiKey");
+    if (!apiKey) return null;
+
+    const cache = this.caches.get(this.getCacheKey(apiKey));
+    return cache ? cache.getCachedData(allowStale) : null;
+  }
+
+  /**
+   * Read a device setting, preferring the values the device keeps in sync in onSettings
+   * (getSetting still returns the old value until onSettings resolves)
+   */
+  _getDeviceSetting(device, key) {
+    if (device.settings && device.settings[key] !== undefined) {
+      return device.settings[key];
+    }
+    return device.getSetting(key);
+  }
+
+  /**
+   * Refresh hour configured on a device (default 15)
+   */
+  _getRefreshHour(device) {
+    const refreshHour = this._getDeviceSetting(device, "priceRefreshHour");
+    return refreshHour !== undefined && refreshHour !== null ? refreshHour : 15;
+  }
+
+  /**
+   * Group the driver's devices by the API key they are configured with
+   * @returns {Map<string, Homey.Device[]>} API key -> devices
+   */
+  _groupDevicesByApiKey() {
+    const groups = new Map();
+    this.driver.getDevices().forEach((device) => {
+      const apiKey = this._getDeviceSetting(device, "apiKey");
+      if (!apiKey) return;
+      if (!groups.has(apiKey)) {
+        groups.set(apiKey, []);
+      }
+      groups.get(apiKey).push(device);
+    });
+    return groups;
+  }
+
+  /**
+   * Earliest upcoming refresh time among the given devices
+   * @param {Homey.Device[]} devices - Devices to consider
+   * @returns {Date|null} Next refresh time, null if there are no devices
+   */
+  getNextRefreshTime(devices = this.driver.getDevices()) {
+    const now = new Date();
+    return devices.reduce((earliest, device) => {
+      const nextRefresh = getNextRefreshTime(this._getRefreshHour(device), now, this._getTimeZone());
+      return !earliest || nextRefresh < earliest ? nextRefresh : earliest;
+    }, null);
+  }
+
+  /**
+   * Earliest expiry among the account caches that has not passed yet
+   * @returns {Date|null} Expiry time, null if no cache expires in the future
+   */
+  getEarliestCacheExpiry() {
+    const now = Date.now();
+    let earliest = null;
+    this.caches.forEach((cache) => {
+      if (cache.expiresAt && cache.expiresAt > now && (!earliest || cache.expiresAt < earliest)) {
+        earliest = cache.expiresAt;
+      }
+    });
+    return earliest ? new Date(earliest) : null;
+  }
+
+  /**
+   * Check whether the frames include prices for the whole next day
+   * @param {Array} frames - Price frames
+   * @returns {boolean}
+   */
+  hasTomorrowPrices(frames) {
+    return hasPricesForTomorrow(frames || [], new Date(), this._getTimeZone());
+  }
+
+  /**
+   * Polling settings for tomorrow's prices, combined over the devices of an account:
+   * the shortest interval, the earliest refresh hour and the latest cutoff win
+   * @param {Homey.Device[]} devices - Devices configured with the same API key
+   * @returns {{interval: number, startHour: number, cutoffHour: number}}
+   */
+  _getTomorrowPollSettings(devices) {
+    const intervals = devices.map((device) => this._getDeviceSetting(device, "tomorrowPollInterval") || 15);
+    const cutoffs = devices.map((device) => {
+      const cutoffHour = this._getDeviceSetting(device, "tomorrowPollCutoffHour");
+      return cutoffHour !== undefined && cutoffHour !== null ? cutoffHour : 23;
+    });
+
+    return {
+      interval: devices.length ? Math.min(...intervals) : 15,
+      startHour: devices.length ? Math.min(...devices.map((device) => this._getRefreshHour(device))) : 15,
+      cutoffHour: devices.length ? Math.max(...cutoffs) : 23,
+    };
+  }
+
+  /**
+   * Calculate when freshly fetched data expires
+   *
+   * Normally at the next refresh hour, but once tomorrow's prices are due and still
+   * missing the cache expires after the poll interval, until the cutoff hour passes.
+   * @param {Homey.Device[]} devices - Devices configured with the same API key
+   * @param {boolean} hasTomorrowPrices - Whether the fetched frames cover tomorrow
+   * @param {Date} now - Reference time
+   * @returns {Date} Expiry time
+   */
+  _getExpiryTime(devices, hasTomorrowPrices, now = new Date()) {
+    const nextRefresh = this.getNextRefreshTime(devices) || getNextRefreshTime(15, now, this._getTimeZone());
+    if (hasTomorrowPrices) return nextRefresh;
+
+    const { interval, startHour, cutoffHour } = this._getTomorrowPollSettings(devices);
+    const currentHour = getLocalParts(now, this._getTimeZone()).hour;
+    if (currentHour < startHour || currentHour >= cutoffHour) return nextRefresh;
+
+    const nextPoll = new Date(now.getTime() + interval * 60 * 1000);
+    return nextPoll < nextRefresh ? nextPoll : nextRefresh;
+  }
+
+  async shouldRefresh(apiKey = null) {
+    const apiKeys = apiKey ? [apiKey] : [...this._groupDevicesByApiKey().keys()];
+    return apiKeys.some((key) => this._shouldRefreshAccount(key));
   }
 
-  async shouldRefresh() {
+  _shouldRefreshAccount(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+
     // Don't refresh if already refreshing
-    if (this.isRefreshing) return false;
+    if (this.refreshingKeys.has(cacheKey)) return false;
 
     // Refresh if cache invalid
-    if (!this.cache.isCacheValid()) return true;
+    if (!this.getCache(apiKey).isCacheValid()) return true;
 
     // Refresh if manual request
-    if (this.manualRefreshRequested) return true;
+    if (this.manualRefreshKeys.has(cacheKey)) return true;
 
     return false;
   }
 
-  async fetchFreshData(apiKey) {
+  async fetchFreshData(apiKey, devices = []) {
     const now = new Date();
     const windowStart = new Date();
     windowStart.setUTCHours(windowStart.getUTCHours() - 2, 0, 0, 0);
@@ -98,47 +719,59 @@ class APIOrchestrator {
     const windowEnd = new Date(windowStart);
     windowEnd.setUTCDate(windowEnd.getUTCDate() + 2);
 
+    // Always ask for the whole of tomorrow, so its availability can be detected
+    const tomorrowEnd = getTomorrowEnd(now, this._getTimeZone());
+    if (windowEnd < tomorrowEnd) {
+      windowEnd.setTime(tomorrowEnd.getTime());
+    }
+
     try {
       // Single consolidated API call
       const response = await this._apiRequest("/integrations/pricing/", {
-        resolution: "hour",
+        resolution: PRICE_RESOLUTION,
         window_start: windowStart.toISOString(),
         window_end: windowEnd.toISOString(),
       }, apiKey);
 
+      if (!response || !Array.isArray(response.frames)) {
+        throw new PstrykMalformedResponseError("missing frames");
+      }
+
       // Filter out invalid frames
       const validFrames = response.frames.filter((frame) => {
         return frame.is_cheap !== null && frame.is_expensive !== null;
       });
 
-      // Calculate daily average from hourly data if not provided
+      // Calculate daily averages from hourly data if not provided
       const dailyAverage = response.daily_average || this._calculateDailyAverage(validFrames);
+      const dailyAverageNet = this._calculateDailyAverage(validFrames, "price_net");
 
-      // Get configurable refresh hour from first device (default to 15)
-      const devices = this.driver.getDevices();
-      let refreshHour = 15; // default
-      if (devices.length > 0) {
-        refreshHour = devices[0].getSetting("priceRefreshHour") || 15;
-      }
+      // Expire at the earliest refresh hour configured by the devices using this account,
+      // or sooner while tomorrow's prices have not been published yet
+      const hasTomorrowPrices = hasPricesForTomorrow(validFrames, now, this._getTimeZone());
+      const expiresAt = this._getExpiryTime(devices, hasTomorrowPrices, now);
 
-      // Set expiration time (next day at configured hour)
-      const expiresAt = new Date();
-      if (expiresAt.getHours() >= refreshHour) {
-        expiresAt.setDate(expiresAt.getDate() + 1);
+      if (!hasTomorrowPrices) {
+        this.driver.log(`Tomorrow's prices not published yet, next fetch at ${expiresAt.toISOString()}`);
       }
-      expiresAt.setHours(refreshHour, 0, 0, 0);
 
       return {
         currentPrices: validFrames,
         dailyAverage: dailyAverage,
+        dailyAverageNet,
         expiresAt: expiresAt.getTime(),
-        date: now.toLocaleDateString("en-CA")
+        date: getDateKey(now, this._getTimeZone())
       };
     } catch (error) {
+      // A rejected API key will not fix itself, so don't hide it behind stale data
+      if (error instanceof PstrykApiError && !error.isTransient()) {
+        throw error;
+      }
+
       this.driver.error("API request failed, attempting graceful degradation:", error);
-      
+
       // Try to use stale cache if available
-      const staleData = this.cache.getCachedData();
+      const staleData = this.getCache(apiKey).getCachedData(true);
       if (staleData) {
         this.driver.log("Using stale cache data due to API failure");
         // Extend stale cache expiration for 2 hours to allow retry
@@ -146,7 +779,8 @@ class APIOrchestrator {
         return {
           ...staleData,
           expiresAt: extendedExpiresAt,
-          isStale: true
+          isStale: true,
+          error
         };
       }
       
@@ -154,107 +788,583 @@ class APIOrchestrator {
     }
   }
 
+  /**
+   * Refresh every account, regardless of cache validity
+   */
   async refreshAllDevices() {
-    if (this.isRefreshing) return;
+    const groups = this._groupDevicesByApiKey();
+    if (groups.size === 0) {
+      this.driver.log("No devices with an API key available for cache refresh");
+      return;
+    }
 
-    this.isRefreshing = true;
-    this.manualRefreshRequested = false;
+    this._pruneCaches(groups);
 
-    try {
-      // Get API key from first device (all devices share same key)
-      const devices = this.driver.getDevices();
-      if (devices.length === 0) {
-        this.driver.log("No devices available for cache refresh");
-        return;
-      }
+    for (const [apiKey, devices] of groups) {
+      await this.refreshAccount(apiKey, devices);
+    }
+  }
 
-      const apiKey = devices[0].getSetting("apiKey");
-      if (!apiKey) {
-        this.driver.log("API key not available for cache refresh");
-        return;
+  /**
+   * Refresh only the accounts whose cache expired or that have a manual refresh pending
+   */
+  async refreshDueAccounts() {
+    const groups = this._groupDevicesByApiKey();
+    this._pruneCaches(groups);
+
+    for (const [apiKey, devices] of groups) {
+      if (this._shouldRefreshAccount(apiKey)) {
+        await this.refreshAccount(apiKey, devices);
       }
+    }
+  }
+
+  /**
+   * Fetch prices for one account and fan them out to the devices using it
+   * @param {string} apiKey - PSTRYK API key
+   * @param {Homey.Device[]} devices - Devices configured with this API key
+   */
+  async refreshAccount(apiKey, devices) {
+    const cacheKey = this.getCacheKey(apiKey);
+    if (this.refreshingKeys.has(cacheKey)) return;
+
+    this.refreshingKeys.add(cacheKey);
+    this.manualRefreshKeys.delete(cacheKey);
+
+    try {
+      const cache = this.getCache(apiKey);
 
       // Fetch fresh data
-      const freshData = await this.fetchFreshData(apiKey);
+      const freshData = await this.fetchFreshData(apiKey, devices);
       
       // Update cache
-      this.cache.updateCache(freshData);
-      
+      cache.updateCache(freshData);
+      this._persistCache();
+
+      if (!freshData.isStale) {
+        const archive = this.getArchive(apiKey);
+        archive.addFrames(freshData.currentPrices, this._getTimeZone());
+        archive.prune(this._getTimeZone());
+        this._persistArchive();
+      }
+
       if (freshData.isStale) {
-        this.driver.log("Cache updated with stale data due to API failure");
+        this.driver.log(`Cache ${cacheKey} updated with stale data due to API failure`);
       } else {
-        this.driver.log("Cache updated successfully with fresh data");
+        this.driver.log(`Cache ${cacheKey} updated successfully with fresh data for ${devices.length} device(s)`);
       }
 
-      // Notify all devices of cache update
-      this.driver.emit('cache-updated', this.cache.getCachedData());
+      // Notify the devices of this account of the cache update
+      this.driver.emit('cache-updated', cache.getCachedData(true), cacheKey);
       
       // Emit success status for manual refresh feedback
       this.driver.emit('cache-status-changed', {
         status: freshData.isStale ? 'stale' : 'fresh',
-        message: freshData.isStale ? 'Refresh completed with stale data' : 'Refresh completed successfully'
+        message: freshData.isStale
+          ? `Refresh completed with stale data: ${freshData.error.message}`
+          : 'Refresh completed successfully',
+        errorCategory: freshData.isStale ? this._getErrorCategory(freshData.error) : null,
+        cacheKey
       });
 
+      // Backfill only after the API answered, a failing key or rate limit would fail it as well
+      if (!freshData.isStale) {
+        await this.backfillArchive(apiKey);
+      }
     } catch (error) {
-      this.driver.error("Error refreshing cache:", error);
+      this.driver.error(`Error refreshing cache ${cacheKey}:`, error);
       
       // Emit cache status update even on failure to allow devices to show error state
       this.driver.emit('cache-status-changed', {
         status: 'error',
-        message: error.message || 'API request failed'
+        message: error.message || 'API request failed',
+        errorCategory: this._getErrorCategory(error),
+        cacheKey
       });
     } finally {
-      this.isRefreshing = false;
+      this.refreshingKeys.delete(cacheKey);
+    }
+  }
+
+  /**
+   * Fill the gaps in an account's archive with daily and monthly averages from the pricing endpoint.
+   * Runs at most once a day per account; failures are retried with the next successful refresh.
+   * @param {string} apiKey - PSTRYK API key
+   */
+  async backfillArchive(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+    const archive = this.getArchive(apiKey);
+    const timeZone = this._getTimeZone();
+    const now = new Date();
+    if (!archive.needsBackfill(timeZone, now)) return;
+
+    try {
+      const today = getDateKey(now, timeZone);
+      const dayWindowStart = getStartOfDay(shiftDateKey(today, -ARCHIVE_RETENTION_DAYS), timeZone);
+      const daily = await this._apiRequest("/integrations/pricing/", {
+        resolution: "day",
+        window_start: dayWindowStart.toISOString(),
+        window_end: now.toISOString(),
+        for_tz: timeZone,
+      }, apiKey);
+
+      const { year, month } = getLocalParts(now, timeZone);
+      const firstMonth = new Date(Date.UTC(year, month - 1 - ARCHIVE_RETENTION_MONTHS, 1)).toISOString().slice(0, 10);
+      const monthWindowStart = getStartOfDay(firstMonth, timeZone);
+      const monthly = await this._apiRequest("/integrations/pricing/", {
+        resolution: "month",
+        window_start: monthWindowStart.toISOString(),
+        window_end: now.toISOString(),
+        for_tz: timeZone,
+      }, apiKey);
+
+      if (!daily || !Array.isArray(daily.frames) || !monthly || !Array.isArray(monthly.frames)) {
+        throw new PstrykMalformedResponseError("missing frames");
+      }
+
+      // Today's average comes from the hourly prices, the endpoint only knows today so far
+      const pastDays = daily.frames.filter((frame) => getDateKey(frame.start, timeZone) < today);
+
+      archive.addAggregatedFrames(pastDays, "day", timeZone);
+      archive.addAggregatedFrames(monthly.frames, "month", timeZone);
+      archive.prune(timeZone, now);
+      archive.lastBackfill = today;
+      this._persistArchive();
+
+      this.driver.log(`Archive ${cacheKey} backfilled with ${pastDays.length} day(s) and ${monthly.frames.length} month(s)`);
+      this.driver.emit('archive-updated', cacheKey);
+    } catch (error) {
+      this.driver.error(`Error backfilling price archive ${cacheKey}:`, error);
     }
   }
 
-  requestManualRefresh() {
-    this.manualRefreshRequested = true;
+  /**
+   * Latest meter data fetched for an account
+   * @param {string} apiKey - PSTRYK API key
+   * @returns {{usage: Object, cost: Object, carbon: Object, finalisedDay: Object|null, usageProfile: Array<number>|null,
+   *   updatedAt: Date}|null}
+   */
+  getMeterData(apiKey) {
+    return this.meterData.get(this.getCacheKey(apiKey)) || null;
   }
 
-  async requestManualRefreshImmediate() {
+  /**
+   * API keys of the devices that have meter data enabled
+   * @returns {string[]}
+   */
+  _getMeterDataApiKeys() {
+    return [...this._groupDevicesByApiKey()]
+      .filter(([, devices]) => devices.some((device) => this._getDeviceSetting(device, "meterData")))
+      .map(([apiKey]) => apiKey);
+  }
+
+  /**
+   * Refresh the meter data of every account with meter data enabled on one of its devices
+   */
+  async refreshAllMeterData() {
+    for (const apiKey of this._getMeterDataApiKeys()) {
+      await this.refreshMeterData(apiKey);
+    }
+  }
+
+  /**
+   * Fetch the frames of one meter-data endpoint
+   * @param {string} endpoint - Endpoint path, e.g. /integrations/meter-data/energy-usage/
+   * @param {string} apiKey - PSTRYK API key
+   * @param {Object} window - Query parameters: resolution, window_start, window_end and for_tz
+   * @returns {Promise<Object[]>} Frames
+   */
+  async _fetchMeterDataFrames(endpoint, apiKey, window) {
+    const response = await this._apiRequest(endpoint, window, apiKey);
+
+    if (!response || !Array.isArray(response.frames)) {
+      throw new PstrykMalformedResponseError("missing frames");
+    }
+    return response.frames;
+  }
+
+  /**
+   * Hourly energy usage the PSTRYK cloud recorded for an account, e.g. to check the local meter against
+   * @param {string} apiKey - PSTRYK API key
+   * @param {Date} start - Start of the first hour
+   * @param {Date} end - End of the last hour
+   * @returns {Promise<Object[]>} Frames carrying fae_usage in kWh
+   */
+  async fetchHourlyUsage(apiKey, start, end) {
+    return this._fetchMeterDataFrames("/integrations/meter-data/energy-usage/", apiKey, {
+      resolution: "hour",
+      window_start: start.toISOString(),
+      window_end: end.toISOString(),
+    });
+  }
+
+  /**
+   * Average usage of every local hour of day over the last USAGE_PROFILE_DAYS full days, refetched
+   * once a day
+   * @param {string} apiKey - PSTRYK API key
+   * @param {string} today - Today's date key
+   * @param {string} timeZone - IANA timezone
+   * @returns {Promise<Array<number>|null>} 24 values in kWh, null without any recorded usage
+   */
+  async _getUsageProfile(apiKey, today, timeZone) {
+    const cacheKey = this.getCacheKey(apiKey);
+    const cached = this.usageProfiles.get(cacheKey);
+    if (cached && cached.date === today) return cached.profile;
+
+    // Hourly frames so every hour lands in its local hour of day, also across DST changes
+    const frames = await this.fetchHourlyUsage(apiKey,
+      getStartOfDay(shiftDateKey(today, -USAGE_PROFILE_DAYS), timeZone), getStartOfDay(today, timeZone));
+
+    const sums = Array.from({ length: 24 }, () => [0, 0]);
+    frames.forEach((frame) => {
+      if (typeof frame.fae_usage !== "number") return;
+      const sum = sums[getLocalParts(frame.start, timeZone).hour];
+      sum[0] += frame.fae_usage;
+      sum[1]++;
+    });
+    const profile = sums.some(([, count]) => count) ? sums.map(([usage, count]) => (count ? usage / count : 0)) : null;
+
+    this.usageProfiles.set(cacheKey, { date: today, profile });
+    return profile;
+  }
+
+  /**
+   * Fetch an account's energy usage, cost and carbon footprint from the meter-data endpoints and
+   * notify its devices. Daily frames from the start of last month up to the end of today are
+   * requested in one call per endpoint; both window ends are already on local day boundaries, so
+   * the endpoints' snapping to whole days does not widen the window. The carbon intensity comes
+   * from the hourly usage and footprint frames of the live hour.
+   *
+   * Yesterday is reported as the finalised day once its usage frame is no longer live.
+   * @param {string} apiKey - PSTRYK API key
+   */
+  async refreshMeterData(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+    const timeZone = this._getTimeZone();
+    const now = new Date();
+    const periods = getMeterDataPeriods(now, timeZone);
+
+    // The start of last month is always before the start of this week
+    const dailyWindow = {
+      resolution: "day",
+      window_start: getStartOfDay(periods.lastMonth, timeZone).toISOString(),
+      window_end: getStartOfDay(shiftDateKey(periods.today, 1), timeZone).toISOString(),
+      for_tz: timeZone,
+    };
+    // Hourly frames are always UTC hours, the API rejects for_tz with this resolution
+    const hourStart = Math.floor(now.getTime() / HOUR_MS) * HOUR_MS;
+    const hourlyWindow = {
+      resolution: "hour",
+      window_start: new Date(hourStart).toISOString(),
+      window_end: new Date(hourStart + HOUR_MS).toISOString(),
+    };
+
+    try {
+      const usageFrames = await this._fetchMeterDataFrames("/integrations/meter-data/energy-usage/", apiKey, dailyWindow);
+      const costFrames = await this._fetchMeterDataFrames("/integrations/meter-data/energy-cost/", apiKey, dailyWindow);
+      const carbonFrames = await this._fetchMeterDataFrames("/integrations/meter-data/carbon-footprint/", apiKey, dailyWindow);
+      const hourlyUsageFrames = await this._fetchMeterDataFrames("/integrations/meter-data/energy-usage/", apiKey, hourlyWindow);
+      const hourlyCarbonFrames = await this._fetchMeterDataFrames("/integrations/meter-data/carbon-footprint/", apiKey, hourlyWindow);
+      const usageProfile = await this._getUsageProfile(apiKey, periods.today, timeZone);
+
+      const framesFrom = (frames, firstKey, lastKey = periods.today) => frames.filter((frame) => {
+        const day = getDateKey(frame.start, timeZone);
+        return day >= firstKey && day <= lastKey;
+      });
+      const sumFrom = (frames, field, firstKey, lastKey) => framesFrom(frames, firstKey, lastKey)
+        .reduce((sum, frame) => sum + (frame[field] || 0), 0);
+
+      const usage = {
+        today: sumFrom(usageFrames, "fae_usage", periods.today),
+        yesterday: sumFrom(usageFrames, "fae_usage", periods.yesterday, periods.yesterday),
+        week: sumFrom(usageFrames, "fae_usage", periods.week),
+        month: sumFrom(usageFrames, "fae_usage", periods.month),
+      };
+      const cost = {
+        today: sumFrom(costFrames, "fae_cost", periods.today),
+        yesterday: sumFrom(costFrames, "fae_cost", periods.yesterday, periods.yesterday),
+        month: sumFrom(costFrames, "fae_cost", periods.month),
+        lastMonth: sumFrom(costFrames, "fae_cost", periods.lastMonth, shiftDateKey(periods.month, -1)),
+      };
+
+      // Without a recorded regional emission factor the footprint is null rather than zero
+      const carbonFrom = (firstKey, lastKey) => {
+        const known = framesFrom(carbonFrames, firstKey, lastKey).filter((frame) => typeof frame.carbon_footprint === "number");
+        return known.length ? known.reduce((sum, frame) => sum + frame.carbon_footprint, 0) : null;
+      };
+      const carbon = {
+        today: carbonFrom(periods.today),
+        yesterday: carbonFrom(periods.yesterday, periods.yesterday),
+        month: carbonFrom(periods.month),
+        intensity: getCarbonIntensity(hourlyUsageFrames, hourlyCarbonFrames),
+      };
+
+      const yesterdayUsage = usageFrames.find((frame) => getDateKey(frame.start, timeZone) === periods.yesterday);
+      const finalisedDay = yesterdayUsage && !yesterdayUsage.is_live
+        ? {
+          date: periods.yesterday, cost: cost.yesterday, usage: usage.yesterday, carbon: carbon.yesterday,
+        }
+        : null;
+
+      this.meterData.set(cacheKey, {
+        usage, cost, carbon, finalisedDay, usageProfile, updatedAt: now,
+      });
+      this.driver.log(`Meter data ${cacheKey} updated: ${usage.today.toFixed(2)} kWh and ${cost.today.toFixed(2)} PLN today, ${cost.month.toFixed(2)} PLN this month`);
+      this.driver.emit('meter-data-updated', cacheKey);
+    } catch (error) {
+      if (error.statusCode === 404) {
+        this.driver.error(`No meter data for account ${cacheKey}: the account has no PSTRYK meter (HTTP 404)`);
+      } else {
+        this.driver.error(`Error refreshing meter data ${cacheKey}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Drop caches of API keys no device uses anymore
+   * @param {Map<string, Homey.Device[]>} groups - Current API key groups
+   */
+  _pruneCaches(groups) {
+    const activeKeys = new Set([...groups.keys()].map((apiKey) => this.getCacheKey(apiKey)));
+    let pruned = false;
+
+    for (const cacheKey of this.caches.keys()) {
+      if (!activeKeys.has(cacheKey)) {
+        this.caches.delete(cacheKey);
+        this.lastManualRefreshTimes.delete(cacheKey);
+        pruned = true;
+      }
+    }
+
+    for (const cacheKey of this.archives.keys()) {
+      if (!activeKeys.has(cacheKey)) {
+        this.archives.delete(cacheKey);
+        pruned = true;
+      }
+    }
+
+    for (const cacheKey of this.meterData.keys()) {
+      if (!activeKeys.has(cacheKey)) {
+        this.meterData.delete(cacheKey);
+        this.usageProfiles.delete(cacheKey);
+      }
+    }
+
+    if (pruned) {
+      this._persistCache();
+      this._persistArchive();
+    }
+  }
+
+  /**
+   * Drop the prices, archives and meter data of all accounts, in memory and in persistent storage,
+   * e.g. after the API base URL changed and the data came from another server
+   */
+  clearAccountData() {
+    this.caches.clear();
+    this.archives.clear();
+    this.meterData.clear();
+    this.usageProfiles.clear();
+    this._persistCache();
+    this._persistArchive();
+  }
+
+  /**
+   * Recalculate the expiry of an account's cache after a device changed its refresh schedule
+   * @param {string} apiKey - PSTRYK API key
+   */
+  updateRefreshSchedule(apiKey) {
+    const cacheKey = this.getCacheKey(apiKey);
+    const cache = this.caches.get(cacheKey);
+    const devices = this._groupDevicesByApiKey().get(apiKey);
+    if (!cache || !cache.currentPrices.length || !devices) return;
+
+    cache.expiresAt = this._getExpiryTime(devices, this.hasTomorrowPrices(cache.currentPrices)).getTime();
+    this._persistCache();
+    this.driver.log(`Cache ${cacheKey} now expires at ${new Date(cache.expiresAt).toISOString()}`);
+  }
+
+  requestManualRefresh(apiKey) {
+    if (!apiKey) return;
+    this.manualRefreshKeys.add(this.getCacheKey(apiKey));
+  }
+
+  async requestManualRefreshImmediate(apiKey) {
+    if (!apiKey) {
+      throw new Error("API key is not configured for this device");
+    }
+
+    const cacheKey = this.getCacheKey(apiKey);
+
     // Check rate limiting (5 minute cooldown)
     const now = Date.now();
     const cooldownPeriod = 5 * 60 * 1000; // 5 minutes in milliseconds
+    const lastManualRefreshTime = this.lastManualRefreshTimes.get(cacheKey) || 0;
 
-    if (now - this.lastManualRefreshTime < cooldownPeriod) {
-      const remainingTime = Math.ceil((cooldownPeriod - (now - this.lastManualRefreshTime)) / 1000);
+    if (now - lastManualRefreshTime < cooldownPeriod) {
+      const remainingTime = Math.ceil((cooldownPeriod - (now - lastManualRefreshTime)) / 1000);
       throw new Error(`Manual refresh is on cooldown. Please wait ${remainingTime} seconds.`);
     }
 
     // Update rate limiting timestamp
-    this.lastManualRefreshTime = now;
+    this.lastManualRefreshTimes.set(cacheKey, now);
 
     // Set the flag and trigger immediate refresh
-    this.manualRefreshRequested = true;
+    this.manualRefreshKeys.add(cacheKey);
     
     // Emit refresh status to devices
     this.driver.emit('cache-status-changed', {
       status: 'refreshing',
-      message: 'Manual refresh triggered'
+      message: 'Manual refresh triggered',
+      errorCategory: null,
+      cacheKey
     });
 
     // Trigger immediate refresh instead of waiting for timer
-    await this.refreshAllDevices();
+    const devices = this._groupDevicesByApiKey().get(apiKey) || [];
+    await this.refreshAccount(apiKey, devices);
+  }
+
+  /**
+   * Load the caches persisted by a previous run of the app
+   * @returns {number} Number of restored account caches
+   */
+  loadPersistedCache() {
+    try {
+      const persisted = this.driver.homey.settings.get(CACHE_STORAGE_KEY);
+      if (!persisted) {
+        this.driver.log("No persisted price cache found");
+        return 0;
+      }
+
+      let restored = 0;
+      Object.entries(persisted).forEach(([cacheKey, data]) => {
+        if (!data || !Array.isArray(data.currentPrices) || !data.currentPrices.length) return;
+
+        const cache = new PriceDataCache(() => this._getTimeZone());
+        cache.restore(data);
+        this.caches.set(cacheKey, cache);
+        restored++;
+
+        this.driver.log(`Restored persisted price cache ${cacheKey} from ${data.date} (${cache.isStale ? "stale" : "valid"})`);
+      });
+
+      return restored;
+    } catch (error) {
+      this.driver.error("Error loading persisted price cache:", error);
+      return 0;
+    }
+  }
+
+  /**
+   * Load the price archives persisted by a previous run of the app
+   */
+  loadPersistedArchive() {
+    try {
+      const persisted = this.driver.homey.settings.get(ARCHIVE_STORAGE_KEY);
+      if (!persisted) return;
+
+      Object.entries(persisted).forEach(([cacheKey, data]) => {
+        if (!data) return;
+
+        const archive = new PriceArchive();
+        archive.restore(data);
+        this.archives.set(cacheKey, archive);
+      });
+    } catch (error) {
+      this.driver.error("Error loading persisted price archive:", error);
+    }
+  }
+
+  /**
+   * Write all account archives to Homey's persistent storage
+   */
+  _persistArchive() {
+    try {
+      const persisted = {};
+      this.archives.forEach((archive, cacheKey) => {
+        persisted[cacheKey] = archive.serialize();
+      });
+      this.driver.homey.settings.set(ARCHIVE_STORAGE_KEY, persisted);
+    } catch (error) {
+      this.driver.error("Error persisting price archive:", error);
+    }
+  }
+
+  /**
+   * Timezone configured on the Homey, used to split the archive into days
+   * @returns {string} IANA timezone
+   */
+  _getTimeZone() {
+    return this.driver.homey.clock.getTimezone();
+  }
+
+  /**
+   * Write all account caches to Homey's persistent storage
+   */
+  _persistCache() {
+    try {
+      const persisted = {};
+      this.caches.forEach((cache, cacheKey) => {
+        persisted[cacheKey] = cache.serialize();
+      });
+      this.driver.homey.settings.set(CACHE_STORAGE_KEY, persisted);
+    } catch (error) {
+      this.driver.error("Error persisting price cache:", error);
+    }
+  }
+
+  /**
+   * Map any error to the category reported with cache status changes
+   * @param {Error} error - Error thrown while refreshing
+   * @returns {string} Error category
+   */
+  _getErrorCategory(error) {
+    return error instanceof PstrykApiError ? error.category : "network";
   }
 
-  _calculateDailyAverage(frames) {
+  /**
+   * Duration-weighted average price of today's frames
+   * @param {Array} frames - Price frames
+   * @param {string} priceField - Frame field to average, price_gross or price_net
+   * @returns {number} Average price, 0 without frames for today
+   */
+  _calculateDailyAverage(frames, priceField = "price_gross") {
     if (!frames || frames.length === 0) return 0;
 
-    const today = new Date().toLocaleDateString("en-CA");
+    const timeZone = this._getTimeZone();
+    const today = getDateKey(new Date(), timeZone);
     const todayFrames = frames.filter(frame => {
-      const frameDate = new Date(frame.start).toLocaleDateString("en-CA");
+      const frameDate = getDateKey(frame.start, timeZone);
       return frameDate === today;
     });
 
     if (todayFrames.length === 0) return 0;
 
-    const sum = todayFrames.reduce((total, frame) => total + (frame.price_gross || 0), 0);
-    return sum / todayFrames.length;
+    // Weight by frame duration, so mixed or sub-hourly resolutions average correctly
+    let weightedSum = 0;
+    let totalDuration = 0;
+    todayFrames.forEach((frame) => {
+      const duration = new Date(frame.end) - new Date(frame.start);
+      weightedSum += (frame[priceField] || 0) * duration;
+      totalDuration += duration;
+    });
+
+    return totalDuration > 0 ? weightedSum / totalDuration : 0;
+  }
+
+  /**
+   * Base URL of the pricing API, configurable in the app settings
+   * @returns {string} Base URL without trailing slash
+   */
+  _getApiBaseUrl() {
+    const baseUrl = this.driver.homey.settings.get(API_BASE_URL_SETTING) || DEFAULT_API_BASE_URL;
+    return baseUrl.trim().replace(/\/+$/, "");
   }
 
   _apiRequest(endpoint, params, apiKey) {
-    const url = new URL(`https://api.pstryk.pl${endpoint}`);
+    const url = new URL(`${this._getApiBaseUrl()}${endpoint}`);
+    const client = url.protocol === "http:" ? http : https;
     Object.keys(params).forEach((key) => url.searchParams.append(key, params[key]));
 
     const options = {
@@ -267,7 +1377,7 @@ class APIOrchestrator {
     };
 
     return new Promise((resolve, reject) => {
-      const req = https.request(url, options, (res) => {
+      const req = client.request(url, options, (res) => {
         let data = "";
 
         res.on("data", (chunk) => {
@@ -275,17 +1385,48 @@ class APIOrchestrator {
         });
 
         res.on("end", () => {
+          const { statusCode } = res;
+
+          if (statusCode === 401 || statusCode === 403) {
+            reject(new PstrykAuthError(statusCode));
+            return;
+          }
+
+          if (statusCode === 429) {
+            const retryAfter = parseInt(res.headers["retry-after"], 10);
+            reject(new PstrykRateLimitError(Number.isNaN(retryAfter) ? null : retryAfter));
+            return;
+          }
+
+          if (statusCode >= 500) {
+            reject(new PstrykServerError(statusCode));
+            return;
+          }
+
+          if (statusCode < 200 || statusCode >= 300) {
+            reject(new PstrykApiError(`PSTRYK API request failed (HTTP ${statusCode})`, "http", statusCode));
+            return;
+          }
+
           try {
             const jsonData = JSON.parse(data);
             resolve(jsonData);
           } catch (error) {
-            reject(new Error("Failed to parse response data"));
+            reject(new PstrykMalformedResponseError("response is not valid JSON", statusCode));
           }
         });
       });
 
+      req.setTimeout(API_REQUEST_TIMEOUT, () => {
+        req.destroy(new PstrykTimeoutError(API_REQUEST_TIMEOUT));
+      });
+
       req.on("error", (error) => {
-        reject(error);
+        if (error instanceof PstrykApiError) {
+          reject(error);
+          return;
+        }
+        reject(new PstrykApiError(`Could not reach PSTRYK API: ${error.message}`, "network"));
       });
 
       req.end();
@@ -303,6 +1444,10 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     // Initialize API orchestrator (singleton cache manager)
     this.apiOrchestrator = new APIOrchestrator(this);
 
+    // Restore price data from the previous run so devices have prices before the first API call
+    this.apiOrchestrator.loadPersistedCache();
+    this.apiOrchestrator.loadPersistedArchive();
+
     // Register flow conditions
     this._registerFlowConditions();
 
@@ -315,8 +1460,46 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     // Start cache refresh timer
     this._startCacheRefreshTimer();
 
-    // Initial cache update for all devices
-    setTimeout(() => this.apiOrchestrator.refreshAllDevices(), 2000);
+    // Any cache update may move the next expiry, e.g. while polling for tomorrow's prices
+    this.on('cache-updated', () => this._scheduleNextRefresh());
+
+    // Prices from another API server are not comparable, so drop the cached data and refetch all accounts
+    this._handleAppSettingBound = (key) => {
+      if (key !== API_BASE_URL_SETTING) return;
+      this.log(`API base URL changed to ${this.apiOrchestrator._getApiBaseUrl()}, clearing cached data and refreshing prices`);
+      this.apiOrchestrator.clearAccountData();
+      this.apiOrchestrator.refreshAllDevices().catch((err) => this.error("Error refreshing after API base URL change:", err));
+      this.apiOrchestrator.refreshAllMeterData().catch((err) => this.error("Error refreshing meter data after API base URL change:", err));
+    };
+    this.homey.settings.on('set', this._handleAppSettingBound);
+
+    // Initial cache update for all accounts whose restored cache is missing or no longer valid
+    this.homey.setTimeout(() => {
+      this.apiOrchestrator.refreshDueAccounts().catch((err) => this.error("Error in initial cache refresh:", err));
+    }, 2000);
+
+    // Meter data is not persisted, fetch it right away and then after every full hour
+    this.homey.setTimeout(() => {
+      this.apiOrchestrator.refreshAllMeterData().catch((err) => this.error("Error in initial meter data refresh:", err));
+    }, 3000);
+    this._scheduleMeterDataRefresh();
+  }
+
+  /**
+   * Schedule the next meter data refresh, a few minutes after the next full hour
+   */
+  _scheduleMeterDataRefresh() {
+    if (this._meterDataTimeout) {
+      this.homey.clearTimeout(this._meterDataTimeout);
+    }
+
+    const now = Date.now();
+    const nextRefresh = Math.floor(now / HOUR_MS) * HOUR_MS + HOUR_MS + METER_DATA_REFRESH_DELAY;
+
+    this._meterDataTimeout = this.homey.setTimeout(async () => {
+      await this.apiOrchestrator.refreshAllMeterData().catch((err) => this.error("Error refreshing meter data:", err));
+      this._scheduleMeterDataRefresh();
+    }, nextRefresh - now);
   }
 
   /**
@@ -329,7 +1512,7 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     // Also check every 30 minutes as a fallback
     this._cacheCheckInterval = this.homey.setInterval(async () => {
       if (await this.apiOrchestrator.shouldRefresh()) {
-        await this.apiOrchestrator.refreshAllDevices();
+        await this.apiOrchestrator.refreshDueAccounts();
         // Reschedule next refresh after successful update
         this._scheduleNextRefresh();
       }
@@ -337,7 +1520,8 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
   }
 
   /**
-   * Schedule the next refresh for the configured hour
+   * Schedule the next refresh for the earliest refresh hour configured on any device,
+   * or the earliest cache expiry if that comes first
    */
   _scheduleNextRefresh() {
     // Clear any existing timeout
@@ -346,21 +1530,12 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     }
 
     const now = new Date();
-    const devices = this.getDevices();
-    let refreshHour = 15; // default
-    
-    // Get configurable refresh hour from first device
-    if (devices.length > 0) {
-      refreshHour = devices[0].getSetting("priceRefreshHour") || 15;
-    }
+    let nextRefresh = this.apiOrchestrator.getNextRefreshTime() || getNextRefreshTime(15, now, this.apiOrchestrator._getTimeZone());
 
-    // Calculate next refresh time
-    const nextRefresh = new Date();
-    nextRefresh.setHours(refreshHour, 0, 0, 0);
-    
-    // If today's refresh time has passed, schedule for tomorrow
-    if (now >= nextRefresh) {
-      nextRefresh.setDate(nextRefresh.getDate() + 1);
+    // Wake up earlier if a cache expires first, e.g. while polling for tomorrow's prices
+    const earliestExpiry = this.apiOrchestrator.getEarliestCacheExpiry();
+    if (earliestExpiry && earliestExpiry < nextRefresh) {
+      nextRefresh = earliestExpiry;
     }
 
     const timeUntilRefresh = nextRefresh.getTime() - now.getTime();
@@ -369,7 +1544,7 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     // Schedule the refresh
     this._refreshTimeout = this.homey.setTimeout(async () => {
       this.log("Executing scheduled cache refresh");
-      await this.apiOrchestrator.refreshAllDevices();
+      await this.apiOrchestrator.refreshDueAccounts();
       // Schedule the next one
       this._scheduleNextRefresh();
     }, timeUntilRefresh);
@@ -427,7 +1602,7 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
         const result = device.calculateExactPricePosition(hourWindow, true);
         return {
           position: result.position,
-          total_hours: result.totalHours
+          total_hours: result.totalFrames
         };
       });
 
@@ -439,7 +1614,7 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
         const result = device.calculateExactPricePosition(hourWindow, false);
         return {
           position: result.position,
-          total_hours: result.totalHours
+          total_hours: result.totalFrames
         };
       });
 
@@ -655,13 +1830,36 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
           default: throw new Error('Invalid operator');
         }
       });
+
+    // Month-to-date cost from the PSTRYK cloud above a budget
+    this.homey.flow.getConditionCard('cost_month_above')
+      .registerRunListener(async (args, state) => {
+        const { device, limit } = args;
+        const cost = device.hasCapability('energy_cost_month') ? device.getCapabilityValue('energy_cost_month') : null;
+        if (cost === null) {
+          throw new Error("No cost data yet, enable 'Meter Data from PSTRYK' in the device settings");
+        }
+        return cost > limit;
+      });
+
+    // Carbon intensity of the current hour from the PSTRYK cloud below a limit
+    this.homey.flow.getConditionCard('carbon_intensity_below')
+      .registerRunListener(async (args, state) => {
+        const { device, limit } = args;
+        if (!device.hasCapability('carbon_intensity')) {
+          throw new Error("No carbon data, enable 'Meter Data from PSTRYK' in the device settings");
+        }
+        // Unknown while the current hour has no usage or regional emission data yet
+        const intensity = device.getCapabilityValue('carbon_intensity');
+        return intensity !== null && intensity < limit;
+      });
   }
 
   async updatePrices(retryCount = 0) {
     this.log("Triggering cache refresh for all devices");
     try {
-      // Use the API orchestrator to refresh cache and update all devices
-      await this.apiOrchestrator.refreshAllDevices();
+      // Use the API orchestrator to refresh the caches that need it and update their devices
+      await this.apiOrchestrator.refreshDueAccounts();
     } catch (error) {
       this.error("Error updating prices via cache:", error);
 
@@ -686,6 +1884,10 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
    * Register flow triggers
    */
   _registerFlowTriggers() {
+    // Projected month cost crossed the budget, in the direction chosen on the card
+    this.homey.flow.getDeviceTriggerCard('projected_cost_crossed_budget')
+      .registerRunListener(async (args, state) => args.direction === state.direction);
+
     // Current hour price position changed trigger
     this.homey.flow.getTriggerCard('current_hour_price_position_changed')
       .registerRunListener(async (args, state) => {
@@ -719,6 +1921,16 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
     if (this._refreshTimeout) {
       this.homey.clearTimeout(this._refreshTimeout);
     }
+
+    // Clear the meter data refresh timeout
+    if (this._meterDataTimeout) {
+      this.homey.clearTimeout(this._meterDataTimeout);
+    }
+
+    // Stop listening for app setting changes
+    if (this._handleAppSettingBound) {
+      this.homey.settings.removeListener('set', this._handleAppSettingBound);
+    }
   }
 
   /**
@@ -729,7 +1941,8 @@ module.exports = class PstrykPriceDriver extends Homey.Driver {
       {
         name: "PSTRYK Prices",
         data: {
-          id: "pstryk-api",
+          // Unique per pairing, so several accounts can be added
+          id: `pstryk-api-${Date.now()}`,
         },
         settings: {
           apiKey: "",
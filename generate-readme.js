@@ -64,7 +64,25 @@ function generateReadme() {
   readme += `- Smart usage period detection (cheap/expensive hours)\n`;
   readme += `- Multiple time window analysis (4h, 8h, 12h, 24h, 36h)\n`;
   readme += `- Automatic price data refresh\n`;
-  readme += `- Energy consumption monitoring with PSTRYK meter\n\n`;
+  readme += `- All-in price including distribution tariff (G11, G12, G12w, G13) and surcharges\n`;
+  readme += `- 90-day price archive with 7-day and 30-day averages\n`;
+  readme += `- Energy consumption monitoring with PSTRYK meter\n`;
+  readme += `- Energy usage recorded by the PSTRYK cloud (today, yesterday, this week, this month) on the price device\n`;
+  readme += `- Energy cost billed by PSTRYK including distribution and fixed fees (today, yesterday, month-to-date, last month), `;
+  readme += `with a trigger when a day's cost is finalised and a month-to-date budget condition\n`;
+  readme += `- Carbon footprint (today, this month) and the current hour's carbon intensity from the PSTRYK cloud, `;
+  readme += `with a low-carbon condition and a trigger on each new daily footprint\n`;
+  readme += `- Projected month cost from the month-to-date cost and your usual hourly usage, with a trigger when it crosses a monthly budget\n`;
+  readme += `- Per-phase power, current and voltage (L1-L3) alongside the meter totals\n`;
+  readme += `- Reactive and apparent power, power factor and reactive energy when the meter reports them; `;
+  readme += `unrecognised sensors are listed in the device settings\n`;
+  readme += `- Imported and exported energy counters with surplus power tracking for prosumers\n`;
+  readme += `- Sustained power triggers and conditions with debounce and hysteresis, instead of reacting to every reading\n`;
+  readme += `- 15-minute average demand with daily and monthly peaks, and a warning before the peak demand limit is exceeded\n`;
+  readme += `- Power quality monitoring: voltage (per phase) and frequency excursions with counts, durations and an event log\n`;
+  readme += `- Nightly reconciliation of the meter's hourly imported energy against the usage recorded by the PSTRYK cloud, with a log of deviating hours\n`;
+  readme += `- Live cost per hour and the cost of today and this month, pricing the meter's energy with a PSTRYK Prices device\n`;
+  readme += `- Meter availability tracking: unreachable meters are marked unavailable and polled less often until they answer again\n\n`;
 
   // Capabilities
   readme += `## Capabilities\n\n`;
@@ -83,7 +101,14 @@ function generateReadme() {
       (c) => c.id && (c.id.includes("in_cheapest") || c.id.includes("position")),
     ),
     System: capabilities.filter((c) => c.id && (c.id.includes("cache") || c.id.includes("daily_average"))),
-    "Meter Measurements": capabilities.filter((c) => c.id && c.id.includes("measure_")),
+    "Meter Measurements": capabilities.filter(
+      (c) => c.id && (c.id.includes("measure_") || c.id.includes("meter_") || c.id.includes("export")),
+    ),
+    "Meter Demand": capabilities.filter((c) => c.id && c.id.startsWith("demand_")),
+    "Power Quality": capabilities.filter((c) => c.id && (c.id.includes("_events_today") || c.id.includes("quality"))),
+    "Cloud Meter Data": capabilities.filter((c) => c.id && (c.id.startsWith("energy_") || c.id.startsWith("carbon_") || c.id.startsWith("projected_"))),
+    "Meter Costs": capabilities.filter((c) => c.id && c.id.startsWith("cost_")),
+    "Meter Reconciliation": capabilities.filter((c) => c.id && c.id.startsWith("reconciliation_")),
   };
 
   for (const [groupName, caps] of Object.entries(capabilityGroups)) {
@@ -135,6 +160,7 @@ function generateReadme() {
       "Position Conditions": conditions.filter((c) => c.id && c.id.includes("position")),
       "Period Conditions": conditions.filter((c) => c.id && (c.id.includes("period") || c.id.includes("currently"))),
       "Ranking Conditions": conditions.filter((c) => c.id && c.id.includes("in_cheapest")),
+      "Meter Conditions": conditions.filter((c) => c.args?.[0]?.filter === "driver_id=pstryk_meter"),
     };
 
     for (const [groupName, conds] of Object.entries(conditionGroups)) {
@@ -173,16 +199,43 @@ function generateReadme() {
   readme += `1. Install the app from the Homey App Store\n`;
   readme += `2. Add a new PSTRYK Price device\n`;
   readme += `3. Configure your PSTRYK API key in the device settings\n`;
-  readme += `4. Optionally configure the price refresh hour (default: 15:00)\n\n`;
+  readme += `4. Optionally configure the price refresh hour (default: 15:00)\n`;
+  readme += `5. Add a PSTRYK Energy Meter: meters on Homey's local network are found automatically, `;
+  readme += `otherwise enter the meter's IP address and the connection is tested before the device is added\n\n`;
 
   // Configuration
   readme += `## Configuration\n\n`;
   readme += `### Device Settings\n\n`;
+  readme += `- **Price Mode**: Use gross (incl. VAT) or net (excl. VAT) prices for all capabilities, rankings and periods (default: gross)\n`;
   readme += `- **API Key**: Your PSTRYK API key (required)\n`;
+  readme += `- **Distribution Tariff Group**: G11, G12, G12w or G13, used for the all-in price (default: none)\n`;
+  readme += `- **Distribution Rates**: Net variable distribution charge per tariff zone, in PLN/kWh\n`;
+  readme += `- **Quality, Renewable Energy and Cogeneration Charges**: Net per-kWh surcharges added to the all-in price\n`;
+  readme += `- **Rank on All-in Price**: Base cheapest hours, rankings and usage periods on the all-in price (default: off)\n`;
   readme += `- **Price Refresh Hour**: Hour when price data should be refreshed (default: 15)\n`;
+  readme += `- **Tomorrow's Prices Retry Interval**: Minutes between retries while tomorrow's prices are not published yet (default: 15)\n`;
+  readme += `- **Tomorrow's Prices Retry Cutoff Hour**: Hour after which retrying for tomorrow's prices stops (default: 23)\n`;
   readme += `- **Price Difference Threshold**: Percentage threshold for grouping similar prices (default: 10%)\n`;
   readme += `- **Today Label**: Custom label for today's date (default: "Today")\n`;
-  readme += `- **Tomorrow Label**: Custom label for tomorrow's date (default: "Tomorrow")\n\n`;
+  readme += `- **Tomorrow Label**: Custom label for tomorrow's date (default: "Tomorrow")\n`;
+  readme += `- **Meter Data from PSTRYK**: Show energy usage (today, yesterday, this week, this month), cost (today, yesterday, this month, last month) `;
+  readme += `and carbon footprint (today, this month, current hour intensity) from the PSTRYK cloud `;
+  readme += `(default: off, requires a PSTRYK meter on the account)\n`;
+  readme += `- **Monthly Budget**: Budget in PLN the projected month cost is compared with (default: 0, no budget)\n\n`;
+
+  readme += `### Meter Settings\n\n`;
+  readme += `- **IP Address**: IP address of the PSTRYK meter, or a base URL such as \`http://192.168.1.10:8080\`\n`;
+  readme += `- **Update Interval**: Seconds between meter readings (default: 1)\n`;
+  readme += `- **Export Threshold**: Surplus power in W before the meter counts as exporting (default: 50)\n`;
+  readme += `- **Power Hysteresis**: Margin in W that power has to move back past a threshold before a sustained power trigger fires again (default: 50)\n`;
+  readme += `- **Peak Demand Limit**: 15-minute average demand in W to warn about before it is exceeded, 0 to disable (default: 0)\n`;
+  readme += `- **Nominal Voltage**, **Voltage Tolerance** and **Frequency Tolerance**: Power quality bands `;
+  readme += `(default: 230 V ±10% and 50 Hz ±1%, as in EN 50160)\n`;
+  readme += `- **Unrecognised Sensors** (read-only): Sensor types reported by the meter that the app does not map yet, with their raw values\n`;
+  readme += `- **Track Energy Cost**: Price the imported energy with a PSTRYK Prices device (default: off)\n`;
+  readme += `- **Price Device**: Name of the PSTRYK Prices device to use for prices and reconciliation, empty for the first one\n`;
+  readme += `- **Reconciliation Threshold**: Deviation in % between the meter's and the cloud's hourly usage that is logged and, for a whole day, `;
+  readme += `triggers a flow (default: 10)\n\n`;
 
   // Usage Examples
   readme += `## Usage Examples\n\n`;
@@ -201,6 +254,15 @@ function generateReadme() {
   readme += `**THEN** Enable EV charger\n`;
   readme += `**ELSE** Disable EV charger\n\n`;
 
+  // Development
+  readme += `## Development\n\n`;
+  readme += `\`npm run standin -- --scenario normal\` starts an offline stand-in for the PSTRYK pricing API and the meter's \`/state\` endpoint, `;
+  readme += `serving the fixtures in \`tools/standin/fixtures\`.\n`;
+  readme += `Set the app's **API base URL** setting and the meter's **IP Address** setting to the stand-in (e.g. \`http://192.168.1.10:8080\`).\n`;
+  readme += `Available scenarios are listed in \`tools/standin/scenarios.json\` (missing tomorrow, negative prices, DST days, API errors, timeouts) `;
+  readme += `and can be switched at runtime via \`/__standin/scenario?name=<scenario>\`.\n`;
+  readme += `Requests are logged to stdout; add \`--quiet\` to silence them.\n\n`;
+
   // License & Support
   readme += `## License\n\n`;
   readme += `This is an unofficial PSTRYK integration. Use at your own risk.\n\n`;
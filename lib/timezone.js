@@ -0,0 +1,174 @@
+"use strict";
+
+/**
+ * Date helpers working in an explicit IANA timezone (Homey's configured timezone) instead of
+ * the timezone of the Node.js process, which differs from it on many Homeys.
+ *
+ * Calendar days are identified by date keys (YYYY-MM-DD). Local wall-clock times that fall in
+ * a daylight-saving gap are shifted forward by the length of the gap (e.g. 02:30 on the
+ * spring-forward day resolves to 03:30); wall-clock times that occur twice (autumn) resolve to
+ * their first occurrence.
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const WEEKDAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Intl formatters are expensive to create, keep one per timezone
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  const key = timeZone || "";
+  if (!formatters.has(key)) {
+    formatters.set(key, new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      weekday: "short",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    }));
+  }
+  return formatters.get(key);
+}
+
+/**
+ * Local calendar and clock fields of a time
+ * @param {Date|number|string} time - Time to convert
+ * @param {string} timeZone - IANA timezone
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number, weekday: number}}
+ *   Month 1-12, hour 0-23, weekday 0 (Sunday) - 6
+ */
+function getLocalParts(time, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(new Date(time)).forEach((part) => {
+    parts[part.type] = part.value;
+  });
+
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * Offset of a timezone from UTC at a given time
+ * @param {Date|number|string} time - Time
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds, e.g. 7200000 for CEST
+ */
+function getTimeZoneOffset(time, timeZone) {
+  const date = new Date(time);
+  const parts = getLocalParts(date, timeZone);
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - (Math.floor(date.getTime() / 1000) * 1000);
+}
+
+/**
+ * Calendar date of a time
+ * @param {Date|number|string} time - Time
+ * @param {string} timeZone - IANA timezone
+ * @returns {string} Date key (YYYY-MM-DD)
+ */
+function getDateKey(time, timeZone) {
+  const { year, month, day } = getLocalParts(time, timeZone);
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Move a date key by whole calendar days
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} days - Days to add, negative to go back
+ * @returns {string} Shifted date key
+ */
+function shiftDateKey(dateKey, days) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * The instant a local wall-clock time occurs on a given date
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {number} hour - Local hour (0-23)
+ * @param {string} timeZone - IANA timezone
+ * @param {number} minute - Local minute
+ * @returns {Date} First occurrence of the wall-clock time; inside a DST gap, the time shifted
+ *   forward by the length of the gap
+ */
+function getLocalTime(dateKey, hour, timeZone, minute = 0) {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+
+  // The offset can only differ between the day before and the day after
+  const offsetBefore = getTimeZoneOffset(wallClock - DAY_MS, timeZone);
+  const offsetAfter = getTimeZoneOffset(wallClock + DAY_MS, timeZone);
+
+  const matches = [...new Set([offsetBefore, offsetAfter])]
+    .map((offset) => wallClock - offset)
+    .filter((candidate) => {
+      const parts = getLocalParts(candidate, timeZone);
+      return getDateKey(candidate, timeZone) === dateKey && parts.hour === hour && parts.minute === minute;
+    });
+
+  if (matches.length) {
+    return new Date(Math.min(...matches));
+  }
+
+  // Skipped by a DST change: keep the old offset, which lands as far past the gap as the time was into it
+  return new Date(wallClock - offsetBefore);
+}
+
+/**
+ * Start of a local calendar day
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date}
+ */
+function getStartOfDay(dateKey, timeZone) {
+  return getLocalTime(dateKey, 0, timeZone);
+}
+
+/**
+ * Next occurrence of a local hour of day
+ * @param {number} hour - Local hour (0-23)
+ * @param {Date} from - Reference time
+ * @param {string} timeZone - IANA timezone
+ * @returns {Date} Today's occurrence if it has not passed yet, otherwise tomorrow's
+ */
+function getNextLocalHour(hour, from, timeZone) {
+  const today = getDateKey(from, timeZone);
+  const next = getLocalTime(today, hour, timeZone);
+  return from >= next ? getLocalTime(shiftDateKey(today, 1), hour, timeZone) : next;
+}
+
+/**
+ * Check whether a time is the start of a local calendar day
+ * @param {Date|number|string} time - Time
+ * @param {string} timeZone - IANA timezone
+ * @returns {boolean}
+ */
+function isStartOfDay(time, timeZone) {
+  return getStartOfDay(getDateKey(time, timeZone), timeZone).getTime() === new Date(time).getTime();
+}
+
+module.exports = {
+  HOUR_MS,
+  DAY_MS,
+  getLocalParts,
+  getTimeZoneOffset,
+  getDateKey,
+  shiftDateKey,
+  getLocalTime,
+  getStartOfDay,
+  getNextLocalHour,
+  isStartOfDay,
+};
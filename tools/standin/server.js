@@ -0,0 +1,412 @@
+"use strict";
+
+/**
+ * Offline stand-in for the PSTRYK pricing and meter-data API and the PSTRYK meter's local
+ * /state endpoint.
+ *
+ * Serves fixture files (see scenarios.json) so the app can be exercised without network
+ * access. Point the app's "API base URL" setting and the meter's IP address setting at
+ * this server, e.g. http://192.168.1.10:8080.
+ *
+ * Usage: node tools/standin/server.js [--port 8080] [--scenario normal] [--timezone Europe/Warsaw] [--quiet]
+ *
+ * Every request is logged to stdout unless --quiet is given.
+ *
+ * The active scenario can be switched at runtime:
+ *   GET /__standin/scenario              -> current scenario and the list of scenarios
+ *   GET /__standin/scenario?name=<name>  -> switch scenario
+ *
+ * Unless a scenario sets "rebase": false, fixture frames are moved by whole days so the
+ * first fixture day becomes today in --timezone (the timezone the fixtures were written in).
+ */
+
+const http = require("http");
+const fs = require("fs");
+const path = require("path");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const scenarios = JSON.parse(fs.readFileSync(path.join(__dirname, "scenarios.json"), "utf8"));
+
+/**
+ * Parse --name value pairs and --flag switches from the command line
+ * @param {string[]} argv - Process arguments
+ * @returns {Object} Parsed options
+ */
+function parseArgs(argv) {
+  const options = {
+    port: 8080, scenario: "normal", timezone: "Europe/Warsaw", quiet: false,
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const key = argv[i].replace(/^--/, "");
+    if (i + 1 < argv.length && !argv[i + 1].startsWith("--")) {
+      options[key] = argv[++i];
+    } else {
+      options[key] = true;
+    }
+  }
+  options.port = parseInt(options.port, 10);
+  return options;
+}
+
+/**
+ * Write a line to stdout, unless the stand-in runs with --quiet
+ * @param {Object} options - Server options
+ * @param {string} message - Line to write
+ */
+function log(options, message) {
+  if (!options.quiet) process.stdout.write(`${message}\n`);
+}
+
+function readFixture(relativePath) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, relativePath), "utf8"));
+}
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone
+ * @returns {number} Offset in milliseconds
+ */
+function timeZoneOffset(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone, hourCycle: "h23", year: "numeric", month: "numeric", day: "numeric", hour: "numeric", minute: "numeric", second: "numeric",
+  })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = Number(part.value);
+    });
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * Day number (days since epoch) of an instant in a timezone
+ */
+function localDayNumber(date, timeZone) {
+  return Math.floor((date.getTime() + timeZoneOffset(date, timeZone)) / (24 * HOUR_MS));
+}
+
+/**
+ * Move frames by whole days in the fixture timezone so the first fixture day becomes today
+ * @param {Array} frames - Fixture frames
+ * @param {string} timeZone - Timezone the fixture days are defined in
+ * @returns {Array} Rebased frames
+ */
+function rebaseFrames(frames, timeZone) {
+  if (!frames.length) return frames;
+
+  const deltaDays = localDayNumber(new Date(), timeZone) - localDayNumber(new Date(frames[0].start), timeZone);
+
+  // Keep the local wall-clock time, so frames land on the same local hours after a DST change
+  const shift = (value) => {
+    const date = new Date(value);
+    const shifted = new Date(date.getTime() + deltaDays * 24 * HOUR_MS);
+    return new Date(shifted.getTime() + timeZoneOffset(date, timeZone) - timeZoneOffset(shifted, timeZone)).toISOString();
+  };
+
+  return frames.map((frame) => ({ ...frame, start: shift(frame.start), end: shift(frame.end) }));
+}
+
+/**
+ * Key identifying the aggregation bucket of a frame
+ * @param {Date} date - Frame start
+ * @param {string} resolution - day, week, month or year
+ * @param {string} timeZone - Timezone to aggregate in
+ * @returns {string} Bucket key
+ */
+function bucketKey(date, resolution, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-CA", { timeZone, year: "numeric", month: "2-digit", day: "2-digit", weekday: "short" })
+    .formatToParts(date)
+    .forEach((part) => {
+      parts[part.type] = part.value;
+    });
+
+  switch (resolution) {
+    case "year": return parts.year;
+    case "month": return `${parts.year}-${parts.month}`;
+    case "week": {
+      const weekdays = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+      const monday = new Date(Date.UTC(parts.year, parts.month - 1, parts.day - weekdays.indexOf(parts.weekday)));
+      return monday.toISOString().slice(0, 10);
+    }
+    default: return `${parts.year}-${parts.month}-${parts.day}`;
+  }
+}
+
+/**
+ * Aggregate hourly pricing frames into day/week/month/year frames
+ * @param {Array} frames - Hourly frames
+ * @param {string} resolution - Requested resolution
+ * @param {string} timeZone - Timezone to aggregate in (UTC when for_tz is not given)
+ * @returns {Array} Aggregated frames
+ */
+function aggregatePricing(frames, resolution, timeZone) {
+  const buckets = new Map();
+  frames.forEach((frame) => {
+    const key = bucketKey(new Date(frame.start), resolution, timeZone);
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(frame);
+  });
+
+  return [...buckets.values()].map((group) => {
+    const avg = (field) => group.reduce((sum, frame) => sum + frame[field], 0) / group.length;
+    return {
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      price_net_avg: Number(avg("price_net").toFixed(4)),
+      price_gross_avg: Number(avg("price_gross").toFixed(4)),
+      is_cheap: group.every((frame) => frame.is_cheap),
+      is_expensive: group.every((frame) => frame.is_expensive),
+      is_live: group.some((frame) => frame.is_live),
+    };
+  });
+}
+
+/**
+ * Build the /integrations/pricing/ response for a scenario
+ * @param {Object} scenario - Active scenario
+ * @param {URLSearchParams} query - Request query
+ * @param {Object} options - Server options
+ * @returns {Object} Response body following TgePricingResponse
+ */
+function pricingResponse(scenario, query, options) {
+  const fixture = readFixture(scenario.pricing);
+  const now = Date.now();
+  let frames = scenario.rebase === false ? fixture.frames : rebaseFrames(fixture.frames, options.timezone);
+
+  frames = frames.map((frame) => ({
+    ...frame,
+    is_live: now >= new Date(frame.start).getTime() && now < new Date(frame.end).getTime(),
+  }));
+
+  // The API rounds window_start down to the resolution unit
+  const windowStart = new Date(query.get("window_start"));
+  windowStart.setUTCMinutes(0, 0, 0);
+  const windowEnd = query.get("window_end") ? new Date(query.get("window_end")) : new Date(8640000000000000);
+  frames = frames.filter((frame) => {
+    const start = new Date(frame.start);
+    return start >= windowStart && start < windowEnd;
+  });
+
+  const resolution = query.get("resolution") || "hour";
+  if (resolution !== "hour") {
+    frames = aggregatePricing(frames, resolution, query.get("for_tz") || "UTC");
+  }
+
+  // Hourly frames carry price_*, aggregated frames price_*_avg
+  const suffix = resolution === "hour" ? "" : "_avg";
+  const avg = (field) => (frames.length
+    ? Number((frames.reduce((sum, frame) => sum + frame[field], 0) / frames.length).toFixed(4))
+    : 0);
+
+  return {
+    price_net_avg: avg(`price_net${suffix}`),
+    price_gross_avg: avg(`price_gross${suffix}`),
+    frames,
+  };
+}
+
+/**
+ * Synthetic hourly usage of a household: a low base load with morning and evening peaks, in kWh
+ * @param {Date} start - Hour start
+ * @param {string} timeZone - Timezone of the household
+ * @returns {number} Forward active energy of the hour
+ */
+function hourlyUsage(start, timeZone) {
+  const hour = Math.floor(((start.getTime() + timeZoneOffset(start, timeZone)) % (24 * HOUR_MS)) / HOUR_MS);
+  if (hour >= 17 && hour < 22) return 1.2;
+  if (hour >= 6 && hour < 9) return 0.8;
+  return 0.3;
+}
+
+/**
+ * Synthetic hourly cost of the synthetic usage: energy and distribution at a flat 0.95 PLN/kWh
+ * plus prorated fixed fees
+ * @param {Date} start - Hour start
+ * @param {string} timeZone - Timezone of the household
+ * @returns {number} Cost of the hour in PLN
+ */
+function hourlyCost(start, timeZone) {
+  return hourlyUsage(start, timeZone) * 0.95 + 0.05;
+}
+
+/**
+ * Synthetic hourly carbon footprint of the synthetic usage: a regional emission factor that dips
+ * around midday when solar output peaks
+ * @param {Date} start - Hour start
+ * @param {string} timeZone - Timezone of the household
+ * @returns {number} Footprint of the hour in gCO2eq
+ */
+function hourlyCarbon(start, timeZone) {
+  const hour = Math.floor(((start.getTime() + timeZoneOffset(start, timeZone)) % (24 * HOUR_MS)) / HOUR_MS);
+  const intensity = hour >= 10 && hour < 16 ? 450 : 700;
+  return hourlyUsage(start, timeZone) * intensity;
+}
+
+/**
+ * Build a /integrations/meter-data/ response from synthetic hourly frames up to now
+ * @param {URLSearchParams} query - Request query
+ * @param {Object} options - Server options
+ * @param {string} field - Frame field, e.g. fae_usage
+ * @param {string} totalField - Field with the sum over all frames, e.g. fae_total_usage
+ * @param {function(Date, string): number} hourlyValue - Value of one hour
+ * @returns {Object} Response body
+ */
+function meterDataResponse(query, options, field, totalField, hourlyValue) {
+  const resolution = query.get("resolution");
+  const timeZone = query.get("for_tz") || "UTC";
+
+  // Hour windows are snapped to whole hours here; coarser ones snap through the bucket aggregation
+  const windowStart = new Date(query.get("window_start"));
+  windowStart.setUTCMinutes(0, 0, 0);
+  const now = Date.now();
+  const windowEnd = query.get("window_end") ? new Date(query.get("window_end")).getTime() : now;
+
+  let frames = [];
+  for (let time = windowStart.getTime(); time < Math.min(windowEnd, now); time += HOUR_MS) {
+    const start = new Date(time);
+    frames.push({
+      start: start.toISOString(),
+      end: new Date(time + HOUR_MS).toISOString(),
+      is_live: now >= time && now < time + HOUR_MS,
+      [field]: Number(hourlyValue(start, options.timezone).toFixed(4)),
+    });
+  }
+
+  if (resolution !== "hour") {
+    const buckets = new Map();
+    frames.forEach((frame) => {
+      const key = bucketKey(new Date(frame.start), resolution, timeZone);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(frame);
+    });
+    frames = [...buckets.values()].map((group) => ({
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      is_live: group.some((frame) => frame.is_live),
+      [field]: Number(group.reduce((sum, frame) => sum + frame[field], 0).toFixed(4)),
+    }));
+  }
+
+  return {
+    resolution,
+    frames,
+    [totalField]: Number(frames.reduce((sum, frame) => sum + frame[field], 0).toFixed(4)),
+  };
+}
+
+/**
+ * Send a scripted error (status, headers, raw body and/or delay)
+ */
+function sendError(res, error) {
+  const respond = () => {
+    if (error.status === undefined) return; // Never answer, let the client time out
+    const body = error.raw !== undefined ? error.raw : JSON.stringify(error.body || {});
+    res.writeHead(error.status, { "Content-Type": error.raw !== undefined ? "text/html" : "application/json", ...error.headers });
+    res.end(body);
+  };
+
+  if (error.delay) {
+    setTimeout(respond, error.delay);
+  } else {
+    respond();
+  }
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function createServer(options) {
+  let scenarioName = options.scenario;
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+    const scenario = scenarios[scenarioName];
+    log(options, `${new Date().toISOString()} [${scenarioName}] ${req.method} ${url.pathname}${url.search}`);
+
+    if (url.pathname === "/__standin/scenario") {
+      const name = url.searchParams.get("name");
+      if (name && !scenarios[name]) {
+        sendJson(res, 404, { detail: `Unknown scenario ${name}` });
+        return;
+      }
+      if (name) scenarioName = name;
+      sendJson(res, 200, {
+        scenario: scenarioName,
+        scenarios: Object.fromEntries(Object.entries(scenarios).map(([key, value]) => [key, value.description])),
+      });
+      return;
+    }
+
+    if (url.pathname === "/state") {
+      if (scenario.meterError) {
+        sendError(res, scenario.meterError);
+        return;
+      }
+      sendJson(res, 200, readFixture(scenario.meter));
+      return;
+    }
+
+    if (url.pathname.startsWith("/integrations/")) {
+      if (!req.headers.authorization) {
+        sendJson(res, 401, { detail: "Authentication credentials were not provided." });
+        return;
+      }
+      if (scenario.error) {
+        sendError(res, scenario.error);
+        return;
+      }
+      if (url.pathname === "/integrations/pricing/") {
+        if (!url.searchParams.get("window_start") || !url.searchParams.get("resolution")) {
+          sendJson(res, 400, { detail: "window_start and resolution are required." });
+          return;
+        }
+        sendJson(res, 200, pricingResponse(scenario, url.searchParams, options));
+        return;
+      }
+      if (url.pathname.startsWith("/integrations/meter-data/")) {
+        if (!url.searchParams.get("window_start") || !url.searchParams.get("resolution")) {
+          sendJson(res, 400, { detail: "window_start and resolution are required." });
+          return;
+        }
+        if (url.searchParams.get("resolution") === "hour" && url.searchParams.get("for_tz")) {
+          sendJson(res, 400, { detail: "for_tz cannot be combined with the hour resolution." });
+          return;
+        }
+        if (scenario.meterDataError) {
+          sendError(res, scenario.meterDataError);
+          return;
+        }
+        if (url.pathname === "/integrations/meter-data/energy-usage/") {
+          sendJson(res, 200, meterDataResponse(url.searchParams, options, "fae_usage", "fae_total_usage", hourlyUsage));
+          return;
+        }
+        if (url.pathname === "/integrations/meter-data/energy-cost/") {
+          sendJson(res, 200, meterDataResponse(url.searchParams, options, "fae_cost", "fae_total_cost", hourlyCost));
+          return;
+        }
+        if (url.pathname === "/integrations/meter-data/carbon-footprint/") {
+          sendJson(res, 200, meterDataResponse(url.searchParams, options, "carbon_footprint", "carbon_footprint_total", hourlyCarbon));
+          return;
+        }
+      }
+    }
+
+    sendJson(res, 404, { detail: "Not found." });
+  });
+}
+
+const options = parseArgs(process.argv.slice(2));
+if (!scenarios[options.scenario]) {
+  process.stderr.write(`Unknown scenario ${options.scenario}, available: ${Object.keys(scenarios).join(", ")}\n`);
+  process.exitCode = 1;
+} else {
+  createServer(options).listen(options.port, () => {
+    log(options, `PSTRYK stand-in listening on http://localhost:${options.port} (scenario: ${options.scenario})`);
+  });
+}